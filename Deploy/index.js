@@ -2,26 +2,75 @@
 const express = require("express");
 const bodyParser = require("body-parser");
 const path = require("path");
+const { robotsConfig, createRobotsTxt } = require("./robots");
 
 const PORT = process.env.PORT || 8080;
+//AI_API_URL is the url of server/ai-api-server.js, which
+//  generates the sitemap, llms.txt and serves the AI API
+const AI_API_ROUTES = [
+  "/sitemap.xml",
+  "/sitemaps/*",
+  "/llms.txt",
+  "/llms-full.txt",
+  "/api/ai/*",
+];
 
 const STATIC = path.resolve("/app/dist");
 const INDEX = path.resolve(STATIC, "index.html");
 
-const app = express();
-app.use(bodyParser.json());
+//env holds the configuration, process.env when started
+const createApp = (env) => {
+  const app = express();
+  app.use(bodyParser.json());
 
-// Static content
-app.use(express.static(STATIC));
+  //the same for every request, the sitemap url is configured
+  //  and never taken from request headers
+  const robotsTxt = createRobotsTxt(robotsConfig(env));
+  app.get("/robots.txt", function(req, res) {
+    res.type("text/plain").send(robotsTxt);
+  });
+
+  if (env.AI_API_URL) {
+    app.get(AI_API_ROUTES, function(req, res) {
+      fetch(`${env.AI_API_URL}${req.originalUrl}`)
+        .then((response) =>
+          response.arrayBuffer().then((body) => {
+            res
+              .status(response.status)
+              .type(
+                response.headers.get("content-type") ||
+                  "text/plain"
+              )
+              .send(Buffer.from(body));
+          })
+        )
+        .catch(() => res.sendStatus(502));
+    });
+  } else {
+    //not pages of the web site, the SPA would answer them with 200
+    app.get(AI_API_ROUTES, function(req, res) {
+      res.sendStatus(404);
+    });
+  }
+
+  // Static content
+  app.use(express.static(STATIC));
+
+  // All GET request handled by INDEX file
+  app.get("*", function(req, res) {
+    res.sendFile(INDEX);
+  });
+  return app;
+};
 
-// All GET request handled by INDEX file
-app.get("*", function(req, res) {
-  res.sendFile(INDEX);
-});
 // Start server
-app.listen(PORT, function() {
-  // eslint-disable-next-line no-console
-  console.log(
-    `Server up and running on ${PORT}`
-  );
-});
+if (require.main === module) {
+  createApp(process.env).listen(PORT, function() {
+    // eslint-disable-next-line no-console
+    console.log(
+      `Server up and running on ${PORT}`
+    );
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,94 @@
+// robots.txt of the web site, configured with environment variables:
+//  ROBOTS_AI_CRAWLERS  comma separated user agents of AI crawlers
+//  ROBOTS_AI_ALLOW     comma separated paths only AI crawlers may crawl
+//  ROBOTS_DISALLOW     comma separated paths no crawler may crawl
+//  ROBOTS_CRAWL_DELAY  seconds between requests, empty for none
+//  SITEMAP_URL         absolute url of the sitemap index, defaults
+//                      to /sitemap.xml of SITE_URL when AI_API_URL
+//                      serves the sitemap, no Sitemap line otherwise
+//  SITE_URL            origin of the web site, e.g. https://shop.example
+
+const DEFAULT_AI_CRAWLERS = [
+  "GPTBot",
+  "ChatGPT-User",
+  "OAI-SearchBot",
+  "ClaudeBot",
+  "Claude-Web",
+  "anthropic-ai",
+  "PerplexityBot",
+  "Google-Extended",
+  "CCBot",
+];
+const DEFAULT_AI_ALLOW = [
+  "/api/ai/",
+  "/llms.txt",
+  "/llms-full.txt",
+];
+//pages of a shopper, with and without the /:country/:locale prefix
+const PRIVATE_PAGES = [
+  "cart$",
+  "checkout$",
+  "login$",
+  "forgot-password$",
+  "reset-password/",
+  "pay/",
+  "user$",
+  "user/",
+];
+const DEFAULT_DISALLOW = ["/api/"].concat(
+  ...PRIVATE_PAGES.map((page) => [`/${page}`, `/*/${page}`])
+);
+const DEFAULT_CRAWL_DELAY = "1";
+
+const list = (value, defaults) =>
+  value === undefined
+    ? defaults
+    : value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+const robotsConfig = (env) => ({
+  aiCrawlers: list(env.ROBOTS_AI_CRAWLERS, DEFAULT_AI_CRAWLERS),
+  aiAllow: list(env.ROBOTS_AI_ALLOW, DEFAULT_AI_ALLOW),
+  disallow: list(env.ROBOTS_DISALLOW, DEFAULT_DISALLOW),
+  crawlDelay:
+    env.ROBOTS_CRAWL_DELAY === undefined
+      ? DEFAULT_CRAWL_DELAY
+      : env.ROBOTS_CRAWL_DELAY,
+  sitemap:
+    env.SITEMAP_URL ||
+    (env.SITE_URL && env.AI_API_URL
+      ? `${env.SITE_URL.replace(/\/+$/, "")}/sitemap.xml`
+      : null),
+});
+
+//crawlers follow the most specific group only, so the group of
+//  the AI crawlers repeats the disallowed paths, the longer
+//  Allow: /api/ai/ wins over Disallow: /api/
+const createRobotsTxt = (config) => {
+  const rules = (allow) =>
+    allow
+      .map((path) => `Allow: ${path}`)
+      .concat(config.disallow.map((path) => `Disallow: ${path}`))
+      .concat(
+        config.crawlDelay ? [`Crawl-delay: ${config.crawlDelay}`] : []
+      );
+  return []
+    .concat(
+      "# robots.txt for Sunrise Fashion",
+      "",
+      "User-agent: *",
+      rules([]),
+      "",
+      config.aiCrawlers.length
+        ? config.aiCrawlers
+            .map((crawler) => `User-agent: ${crawler}`)
+            .concat(rules(config.aiAllow), "")
+        : [],
+      config.sitemap ? [`Sitemap: ${config.sitemap}`, ""] : []
+    )
+    .join("\n");
+};
+
+module.exports = { robotsConfig, createRobotsTxt };
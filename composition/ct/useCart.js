@@ -5,7 +5,7 @@ import { getValue } from '../../src/lib';
 
 //@todo: we will worry about importing the partials
 //  when the cart route is done
-const query = gql`
+export const query = gql`
   query myCart($locale: Locale!) {
     myCart: me {
       activeCart {
@@ -3,6 +3,36 @@ import { getValue } from '../../src/lib';
 import useMutation from '../useMutationFacade';
 import useCart from '../useCart';
 import gql from 'graphql-tag';
+export const paymentMutation = gql`
+  mutation createMyPayment($draft: MyPaymentDraft!) {
+    createMyPayment(draft: $draft) {
+      paymentId: id
+      version
+    }
+  }
+`;
+export const paymentDraft = ({
+  currency,
+  centAmount,
+  method,
+}) => ({
+  amountPlanned: {
+    currencyCode: currency,
+    centAmount,
+  },
+  paymentMethodInfo: {
+    method,
+  },
+});
+export const addPayment = (id) => [
+  {
+    addPayment: {
+      payment: {
+        id,
+      },
+    },
+  },
+];
 export const createPayment = ({
   currency,
   centAmount,
@@ -10,24 +40,9 @@ export const createPayment = ({
 }) =>
   apolloClient
     .mutate({
-      mutation: gql`
-        mutation createMyPayment($draft: MyPaymentDraft!) {
-          createMyPayment(draft: $draft) {
-            paymentId: id
-            version
-          }
-        }
-      `,
+      mutation: paymentMutation,
       variables: {
-        draft: {
-          amountPlanned: {
-            currencyCode: currency,
-            centAmount,
-          },
-          paymentMethodInfo: {
-            method,
-          },
-        },
+        draft: paymentDraft({ currency, centAmount, method }),
       },
     })
     .then((result) => ({
@@ -35,7 +50,7 @@ export const createPayment = ({
       id: result.data.createMyPayment.paymentId,
     }));
 
-const create = gql`
+export const create = gql`
   mutation createCart($draft: MyCartDraft!) {
     createMyCart(draft: $draft) {
       cartId: id
@@ -43,7 +58,7 @@ const create = gql`
     }
   }
 `;
-const mutation = gql`
+export const mutation = gql`
   mutation mutateCart(
     $actions: [MyCartUpdateAction!]!
     $version: Long!
@@ -64,6 +79,14 @@ const mutation = gql`
   }
 `;
 
+export const deleteCart = gql`
+  mutation deleteCart($version: Long!, $id: String!) {
+    deleteMyCart(version: $version, id: $id) {
+      id
+    }
+  }
+`;
+
 export const addLineItem = (sku, quantity, channel) => [
   {
     addLineItem: {
@@ -80,6 +103,23 @@ export const addLineItem = (sku, quantity, channel) => [
     },
   },
 ];
+//moves a line item to a store, no channel removes it
+export const setLineItemDistributionChannel = (
+  lineItemId,
+  channel
+) => ({
+  setLineItemDistributionChannel: {
+    lineItemId,
+    ...(channel
+      ? {
+          distributionChannel: {
+            id: channel,
+            typeId: 'channel',
+          },
+        }
+      : undefined),
+  },
+});
 export const setBillingAddress = (address) => ({
   setBillingAddress: {
     address,
@@ -185,16 +225,7 @@ const useCartMutation = ({ location, currency }) => {
       .then((result) => {
         if (!result.data.updateMyCart.lineItems.length) {
           return apolloClient.mutate({
-            mutation: gql`
-              mutation deleteCart(
-                $version: Long!
-                $id: String!
-              ) {
-                deleteMyCart(version: $version, id: $id) {
-                  id
-                }
-              }
-            `,
+            mutation: deleteCart,
             variables: {
               id: result.data.updateMyCart.id,
               version: result.data.updateMyCart.version,
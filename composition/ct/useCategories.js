@@ -5,11 +5,11 @@ import { useState, useEffect } from 'react';
 
 //@todo: we will worry about importing the partials
 //  when the cart route is done
-const createQuery = (where) => gql`
+export const createQuery = (where) => gql`
     query categories($locale: Locale! ${
       where ? ', $where: String!' : ''
-    }, $sort: [String!] = []) {
-      categories(sort: $sort${
+    }, $sort: [String!] = [], $limit: Int) {
+      categories(sort: $sort, limit: $limit${
         where ? ', where: $where' : ''
       }) {
         count
@@ -18,15 +18,20 @@ const createQuery = (where) => gql`
           id
           slug(locale: $locale)
           name(locale: $locale)
+          lastModifiedAt
         }
       }
     }
   `;
-const createWhere = (categorySlug, rootOnly, locale) => {
+//quotes and backslashes in the slug would otherwise end the
+//  string of the predicate, the slug can come from agents
+const escapeString = (value) =>
+  String(value).replace(/["\\]/g, '\\$&');
+export const createWhere = (categorySlug, rootOnly, locale) => {
   const where = [
     getValue(categorySlug) && getValue(locale)
-      ? `slug(${getValue(locale)}="${getValue(
-          categorySlug
+      ? `slug(${getValue(locale)}="${escapeString(
+          getValue(categorySlug)
         )}")`
       : false,
     getValue(rootOnly) ? 'parent is not defined' : false,
@@ -3,9 +3,10 @@ import useQueryFacade from '../useQueryFacade';
 import { useState, useEffect } from 'react';
 import { getValue } from '../../src/lib';
 
-const query = gql`
-  query Channels($where: String) {
-    channels(where: $where) {
+export const query = gql`
+  query Channels($where: String, $limit: Int, $offset: Int) {
+    channels(where: $where, limit: $limit, offset: $offset) {
+      total
       results {
         id
         name(locale: "en")
@@ -35,12 +36,14 @@ const query = gql`
     }
   }
 `;
-const createWhere = (center, searchRadius) => {
-  return `geoLocation within circle(${getValue(center).lng},
-  ${getValue(center).lat},
-  ${(getValue(searchRadius) || 1000000) * 1609.4})
-`;
-};
+//channels within radius miles of a { lat, lng } center
+export const circleWhere = ({ lat, lng }, radius) =>
+  `geoLocation within circle(${lng}, ${lat}, ${radius * 1609.4})`;
+const createWhere = (center, searchRadius) =>
+  circleWhere(
+    getValue(center),
+    getValue(searchRadius) || 1000000
+  );
 
 function useChannels(center, searchRadius) {
   const [where, setWhere] = useState(
@@ -25,6 +25,20 @@ customerNumber
 customerGroupRef {
   customerGroupId: id
 }
+addresses {
+  addressId: id
+  firstName
+  lastName
+  streetName
+  additionalStreetInfo
+  postalCode
+  city
+  country
+  phone
+  email
+}
+defaultShippingAddressId
+defaultBillingAddressId
 `;
 const createResetToken = (email) =>
   apolloClient.mutate({
@@ -109,19 +123,33 @@ const signup = (form) => {
     },
   });
 };
+export const customerQuery = gql`
+  query queryMyCustomer {
+    me {
+      customer {
+        ${customerFields}
+      }
+    }
+  }
+`;
 const refreshUser = () =>
   apolloClient.query({
     fetchPolicy: 'network-only',
-    query: gql`
-      query queryMyCustomer {
-        me {
-          customer {
-            ${customerFields}
-          }
-        }
-      }
-    `,
+    query: customerQuery,
   });
+export const updateCustomerMutation = gql`
+  mutation updateMyCustomer(
+    $actions: [MyCustomerUpdateAction!]!
+    $version: Long!
+  ) {
+    updateMyCustomer(
+      version: $version
+      actions: $actions
+    ) {
+      ${customerFields}
+    }
+  }
+`;
 const updateUser = ({
   version,
   firstName,
@@ -129,19 +157,7 @@ const updateUser = ({
   email,
 }) =>
   apolloClient.mutate({
-    mutation: gql`
-      mutation updateMyCustomer(
-        $actions: [MyCustomerUpdateAction!]!
-        $version: Long!
-      ) {
-        updateMyCustomer(
-          version: $version
-          actions: $actions
-        ) {
-          ${customerFields}
-        }
-      }
-    `,
+    mutation: updateCustomerMutation,
     variables: {
       version,
       actions: [
@@ -151,19 +167,22 @@ const updateUser = ({
       ],
     },
   });
+//signing in with the anonymous token merges the anonymous
+//  cart into the customer cart
+export const loginMutation = gql`
+  mutation customerSignMeIn(
+    $draft: CustomerSignMeInDraft!
+  ) {
+    customerSignMeIn(draft: $draft) {
+      customer {
+        ${customerFields}
+      }
+    }
+  }
+`;
 const login = (email, password) =>
   apolloClient.mutate({
-    mutation: gql`
-      mutation customerSignMeIn(
-        $draft: CustomerSignMeInDraft!
-      ) {
-        customerSignMeIn(draft: $draft) {
-          customer {
-            ${customerFields}
-          }
-        }
-      }
-    `,
+    mutation: loginMutation,
     variables: loginVars(email, password),
   });
 const updateMyCustomerPassword = ({
@@ -1,7 +1,7 @@
 import gql from 'graphql-tag';
 import { useState } from 'react';
 import useQueryFacade from '../useQueryFacade';
-const query = gql`
+export const query = gql`
   query orderById($id: String, $locale: Locale!) {
     me {
       order(id: $id) {
@@ -9,6 +9,9 @@ const query = gql`
         version
         orderNumber
         createdAt
+        orderState
+        shipmentState
+        paymentState
         lineItems {
           lineId: id
           name(locale: $locale)
@@ -137,6 +140,50 @@ const query = gql`
   }
 `;
 
+// Line items still kept by the customer and the returned ones
+export const withReturnedItems = (order) => {
+  const returned = order.returnInfo
+    .flatMap(({ items }) => items)
+    .reduce((acc, item) => {
+      const q = acc.get(item.lineItemId)?.quantity || 0;
+      acc.set(item.lineItemId, {
+        ...item,
+        quantity: item.quantity + q,
+      });
+      return acc;
+    }, new Map());
+  return {
+    ...order,
+    lineItems: order.lineItems
+      .map((item) => {
+        const q = returned.get(item.lineId)?.quantity;
+        return q
+          ? { ...item, quantity: item.quantity - q }
+          : item;
+      })
+      .filter(({ quantity }) => Boolean(quantity)),
+    returnItems: {
+      lineItems: order.returnInfo
+        .flatMap(({ items }) => items)
+        .map(
+          ({
+            lineItemId,
+            quantity,
+            shipmentState,
+            paymentState,
+          }) => ({
+            ...order.lineItems.find(
+              ({ lineId }) => lineId === lineItemId
+            ),
+            quantity,
+            shipmentState,
+            paymentState,
+          })
+        ),
+    },
+  };
+};
+
 function useMyOrder({ locale, id }) {
   const [order, setOrder] = useState(null);
   const { loading, error } = useQueryFacade(query, {
@@ -146,47 +193,7 @@ function useMyOrder({ locale, id }) {
         return;
       }
 
-      const order = data.me.order;
-      const returned = data.me.order.returnInfo
-        .flatMap(({ items }) => items)
-        .reduce((acc, item) => {
-          const q = acc.get(item.lineItemId)?.quantity || 0;
-          acc.set(item.lineItemId, {
-            ...item,
-            quantity: item.quantity + q,
-          });
-          return acc;
-        }, new Map());
-      setOrder({
-        ...order,
-        lineItems: order.lineItems
-          .map((item) => {
-            const q = returned.get(item.lineId)?.quantity;
-            return q
-              ? { ...item, quantity: item.quantity - q }
-              : item;
-          })
-          .filter(({ quantity }) => Boolean(quantity)),
-        returnItems: {
-          lineItems: data.me.order.returnInfo
-            .flatMap(({ items }) => items)
-            .map(
-              ({
-                lineItemId,
-                quantity,
-                shipmentState,
-                paymentState,
-              }) => ({
-                ...order.lineItems.find(
-                  ({ lineId }) => lineId === lineItemId
-                ),
-                quantity,
-                shipmentState,
-                paymentState,
-              })
-            ),
-        },
-      });
+      setOrder(withReturnedItems(data.me.order));
     },
   });
   return { loading, error, order };
@@ -1,10 +1,11 @@
 import gql from 'graphql-tag';
 import { useState } from 'react';
 import useQueryFacade from '../useQueryFacade';
-const query = gql`
-  query MyOrders($limit: Int, $offset: Int) {
+export const query = gql`
+  query MyOrders($limit: Int, $offset: Int, $where: String) {
     MyOrders: me {
       orders(
+        where: $where
         sort: "createdAt desc"
         limit: $limit
         offset: $offset
@@ -19,6 +20,7 @@ const query = gql`
             fractionDigits
           }
           createdAt
+          orderState
           shipmentState
           paymentState
           paymentInfo {
@@ -6,7 +6,14 @@ import useQuery from '../useQueryFacade';
 //@todo: price for logged in user (do in React, mock in Vue)
 //@todo: we will worry about importing the partials
 //  when the cart route is done
-const query = (expand) => gql`
+//stock without a channel, expanded for the MCP tools
+const availability = `availability {
+            noChannel {
+              isOnStock
+              availableQuantity
+            }
+          }`;
+export const query = (expand) => gql`
   query products(
     $locale: Locale!
     $limit: Int!
@@ -32,6 +39,8 @@ const query = (expand) => gql`
         productId: id
         name(locale: $locale)
         slug(locale: $locale)
+        ${expand.description ? 'description(locale: $locale)' : ''}
+        ${expand.lastModified ? 'lastModifiedAt' : ''}
         ${
           expand.variants
             ? `variants {
@@ -62,6 +71,7 @@ const query = (expand) => gql`
             }
             country
           }
+          ${expand.availability ? availability : ''}
         }`
             : ''
         }
@@ -95,12 +105,57 @@ const query = (expand) => gql`
             }
             country
           }
+          ${expand.availability ? availability : ''}
+        }
+      }
+    }
+  }
+`;
+
+//terms of attributes over the products matching the filters,
+//  alias is the facet name in the result
+export const facetsQuery = gql`
+  query productFacets(
+    $locale: Locale!
+    $facets: [SearchFacetInput!]!
+    $filters: [SearchFilterInput!] = []
+    $text: String = ""
+  ) {
+    productProjectionSearch(
+      locale: $locale
+      text: $text
+      limit: 1
+      filters: $filters
+      facets: $facets
+    ) {
+      facets {
+        facet
+        value {
+          ... on TermsFacetResult {
+            terms {
+              term
+              productCount
+            }
+          }
         }
       }
     }
   }
 `;
 
+//product types of the project, products of a type are
+//  filtered by productType.id
+export const productTypesQuery = gql`
+  query productTypes($limit: Int) {
+    productTypes(limit: $limit) {
+      results {
+        id
+        name
+      }
+    }
+  }
+`;
+
 function useCategoryId({ categorySlug, setSkip, locale }) {
   const [skipCategory, setSkipCategory] = useState(
     !getValue(categorySlug) || !getValue(locale)
@@ -128,7 +183,7 @@ function useCategoryId({ categorySlug, setSkip, locale }) {
   }, [categories, categorySlug]);
   return { categoryId, error };
 }
-const updateFilters = (
+export const updateFilters = (
   filters,
   sku,
   categoryId,
@@ -168,7 +223,22 @@ const updateFilters = (
         : undefined
     )
     .filter((f) => f);
-const createPriceSelector = (
+//only products that have a price for the selected
+//  currency and country
+export const scopedPriceFilter = {
+  model: {
+    range: {
+      path: 'variants.scopedPrice.value.centAmount',
+      ranges: [
+        {
+          from: '0',
+          to: '1000000000000',
+        },
+      ],
+    },
+  },
+};
+export const createPriceSelector = (
   currency,
   country,
   channel,
@@ -224,21 +294,7 @@ const useProducts = ({
     });
   const [filters, setFilters] = useState(() =>
     updateFilters(
-      [
-        {
-          model: {
-            range: {
-              path: 'variants.scopedPrice.value.centAmount',
-              ranges: [
-                {
-                  from: '0',
-                  to: '1000000000000',
-                },
-              ],
-            },
-          },
-        },
-      ],
+      [scopedPriceFilter],
       getValue(sku),
       getValue(categoryId),
       getValue(categorySlug)
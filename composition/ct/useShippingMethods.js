@@ -1,7 +1,7 @@
 import gql from 'graphql-tag';
 import useQueryFacade from '../useQueryFacade';
 import { useState } from 'react';
-const query = gql`
+export const query = gql`
   query shippingMethods($id: String!, $locale: Locale!) {
     shippingMethodsByCart(id: $id) {
       methodId: id
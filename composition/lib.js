@@ -18,6 +18,11 @@ export const createReactive = (initial, setter) => {
   };
 };
 export const addVisibilityChangeListener = (() => {
+  //no document when the composition is loaded in node
+  //  (MCP stdio server), nothing to listen to
+  if (typeof document === 'undefined') {
+    return () => () => undefined;
+  }
   const checkStatus = () => {
     let hidden;
     if (typeof document.hidden !== 'undefined') {
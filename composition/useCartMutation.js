@@ -1,4 +1,7 @@
-import org, { createPayment } from './ct/useCartMutation';
+import org, {
+  createPayment,
+  addPayment,
+} from './ct/useCartMutation';
 import useCurrency from './useCurrency';
 import useLocation from './useLocation';
 import {
@@ -87,17 +90,7 @@ export const useCartActions = () => {
       centAmount: cart?.totalPrice?.centAmount,
       method,
     })
-      .then(({ id }) =>
-        mutateCart([
-          {
-            addPayment: {
-              payment: {
-                id,
-              },
-            },
-          },
-        ])
-      )
+      .then(({ id }) => mutateCart(addPayment(id)))
       .then(({ data }) => {
         const { id, version } = data.updateMyCart;
         return apolloClient.mutate(
@@ -6,5 +6,6 @@ module.exports = {
   moduleNameMapper: {
     '^react$': '<rootDir>/composition/react',
     '^composition$': '<rootDir>/composition',
+    '^hooks/(.*)$': '<rootDir>/composition/$1',
   },
 };
@@ -4,7 +4,20 @@
  */
 
 const express = require('../node_modules/express');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+require('./register');
+const {
+  mcpServer,
+  mcpHttpHandler,
+  MCPSessionStore,
+  SESSION_TTL,
+  shouldNotifySession,
+  JSONRPC_ERRORS
+} = require('../src/services/mcpServer');
+const { aiApiService, httpStatus } = require('../src/services/aiApiService');
 
 const app = express();
 const PORT = process.env.AI_API_PORT || 3001;
@@ -14,7 +27,8 @@ app.use(express.json());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Mcp-Session-Id');
+  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, Retry-After');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -22,286 +36,221 @@ app.use((req, res, next) => {
   }
 });
 
-// Mock AI API Service
-const mockAiApiService = {
-  async getCapabilities() {
-    return {
-      name: 'Sunrise Fashion AI Integration',
-      version: '1.0.0',
-      features: {
-        structured_data: true,
-        mcp_protocol: true,
-        product_search: true,
-        recommendations: true,
-        semantic_markup: true
-      },
-      endpoints: {
-        site_info: '/api/ai/site-info',
-        products: '/api/ai/products',
-        categories: '/api/ai/categories',
-        search: '/api/ai/search',
-        structure: '/api/ai/structure',
-        schema: '/api/ai/schema',
-        sitemap: '/api/ai/sitemap'
-      },
-      mcp: {
-        protocol_version: '2024-11-05',
-        initialize: '/api/mcp/initialize',
-        tools: '/api/mcp/tools/list',
-        resources: '/api/mcp/resources/list',
-        prompts: '/api/mcp/prompts/list'
-      }
-    };
-  },
+// MCP Streamable HTTP transport
+// POST /api/mcp takes JSON-RPC messages, initialize starts a session whose id is
+// returned in the Mcp-Session-Id header and has to be sent with every later request.
+// GET /api/mcp opens an SSE stream for server initiated notifications and
+// DELETE /api/mcp ends the session.
+// Every session has its own commercetools token and cart and is dropped after
+// MCP_SESSION_TTL_MS without requests.
+// Clients authenticate initialize with an API key (Authorization: Bearer <key>),
+// MCP_API_KEYS maps the keys to the client ids of the tool policy as
+// comma separated client-id:key pairs. Clients without a key get the '*' rules
+// and are rate limited by their address.
+const MCP_SESSION_HEADER = 'Mcp-Session-Id';
+const API_KEY_PATTERN = /^Bearer\s+(\S+)$/i;
+const mcpClientIds = new Map(
+  (process.env.MCP_API_KEYS || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.indexOf(':') > 0)
+    .map((pair) => {
+      const separator = pair.indexOf(':');
+      return [pair.slice(separator + 1), pair.slice(0, separator)];
+    })
+);
+const SSE_KEEP_ALIVE_MS = 25000;
+const endSession = (session) => {
+  session.streams.forEach((stream) => stream.end());
+  mcpServer.auditLog.forget(session.id);
+};
+const mcpSessions = new MCPSessionStore({
+  ttl: Number(process.env.MCP_SESSION_TTL_MS) || SESSION_TTL,
+  onExpire: endSession
+});
+setInterval(() => {
+  mcpSessions.sweep();
+  mcpServer.policy.sweep();
+}, 60000).unref();
 
-  async getSiteInfo() {
-    return {
-      name: 'Sunrise Fashion',
-      description: 'Premium fashion e-commerce platform powered by CommerceTools',
-      type: 'e-commerce',
-      industry: 'fashion',
-      url: 'https://ecom-001-jsonldmcp.k8s.it',
-      languages: ['en', 'de'],
-      countries: ['US', 'DE'],
-      currencies: ['USD', 'EUR'],
-      features: {
-        product_catalog: true,
-        shopping_cart: true,
-        user_accounts: true,
-        multi_language: true,
-        search: true,
-        recommendations: true
-      }
-    };
-  },
+// Audit log sink writing one JSON object per line, MCP_AUDIT_LOG names the file.
+// The log in memory only keeps the trail of live sessions.
+const createJsonLinesSink = (file) => {
+  const stream = fs.createWriteStream(path.resolve(file), { flags: 'a' });
+  stream.on('error', (error) => console.error('MCP audit log failed:', error));
+  return (entry) => {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+};
+if (process.env.MCP_AUDIT_LOG) {
+  mcpServer.auditLog.addSink(createJsonLinesSink(process.env.MCP_AUDIT_LOG));
+}
 
-  async getProducts(params = {}) {
-    if (params.id) {
-      const product = {
-        id: params.id,
-        name: `Product ${params.id}`,
-        description: `Description for product ${params.id}`,
-        price: { current: { amount: (Math.random() * 100).toFixed(2), currency: 'EUR' } },
-        category: 'women',
-        brand: 'Sunrise Fashion',
-        availability: 'in_stock',
-        images: [`https://ecom-001-jsonldmcp.k8s.it/images/product-${params.id}.jpg`],
-        url: `https://ecom-001-jsonldmcp.k8s.it/product/product-${params.id}`
-      };
-      return {
-        products: [product],
-        total: 1,
-        pagination: {
-          limit: 1,
-          offset: 0,
-          hasMore: false
-        }
-      };
+const sendEvent = (stream, message) => {
+  stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+};
+
+mcpServer.addNotificationListener((message, origin) => {
+  mcpSessions.forEach((session) => {
+    if (shouldNotifySession(session, message, origin)) {
+      session.streams.forEach((stream) => sendEvent(stream, message));
     }
+  });
+});
 
-    const mockProducts = [
-      {
-        id: 'prod-1',
-        name: 'Elegant Summer Dress',
-        description: 'Beautiful flowing summer dress perfect for any occasion',
-        price: { current: { amount: 89.99, currency: 'EUR' } },
-        category: 'women',
-        brand: 'Sunrise Fashion',
-        availability: 'in_stock',
-        images: ['https://ecom-001-jsonldmcp.k8s.it/images/dress-1.jpg'],
-        url: 'https://ecom-001-jsonldmcp.k8s.it/product/elegant-summer-dress/prod-1'
-      },
-      {
-        id: 'prod-2',
-        name: 'Classic White Shirt',
-        description: 'Timeless white shirt for business and casual wear',
-        price: { current: { amount: 59.99, currency: 'EUR' } },
-        category: 'men',
-        brand: 'Sunrise Fashion',
-        availability: 'in_stock',
-        images: ['https://ecom-001-jsonldmcp.k8s.it/images/shirt-1.jpg'],
-        url: 'https://ecom-001-jsonldmcp.k8s.it/product/classic-white-shirt/prod-2'
-      }
-    ];
+const jsonRpcError = (res, status, code, message) => {
+  res.status(status).json({ jsonrpc: '2.0', id: null, error: { code, message } });
+};
 
-    return {
-      products: mockProducts,
-      total: mockProducts.length,
-      pagination: {
-        limit: params.limit || 20,
-        offset: params.offset || 0,
-        hasMore: false
-      }
-    };
-  },
+const isInitialize = (body) =>
+  [].concat(body).some((message) => message && message.method === 'initialize');
 
-  async getCategories() {
-    return {
-      categories: [
-        { id: '1', name: 'Women', slug: 'women', level: 1, productCount: 150 },
-        { id: '2', name: 'Men', slug: 'men', level: 1, productCount: 120 },
-        { id: '3', name: 'Accessories', slug: 'accessories', level: 1, productCount: 80 }
-      ]
-    };
+// Client id of the API key sent with the request, null without a key and
+// undefined for an unknown key
+const authenticate = (req) => {
+  const authorization = req.get('Authorization');
+  if (!authorization) {
+    return null;
   }
+  const match = authorization.match(API_KEY_PATTERN);
+  return match ? mcpClientIds.get(match[1]) : undefined;
 };
 
-// Mock MCP Server
-const mockMcpServer = {
-  async initialize() {
-    return {
-      protocolVersion: '2024-11-05',
-      capabilities: {
-        tools: {},
-        resources: {},
-        prompts: {}
-      },
-      serverInfo: {
-        name: 'Sunrise Fashion MCP Server',
-        version: '1.0.0'
-      }
-    };
-  },
-
-  async listTools() {
-    return {
-      tools: [
-        {
-          name: 'search_products',
-          description: 'Search for products in the catalog',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: { type: 'string', description: 'Search query' },
-              limit: { type: 'number', description: 'Number of results to return' }
-            },
-            required: ['query']
-          }
-        },
-        {
-          name: 'get_product',
-          description: 'Get detailed information about a specific product',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              productId: { type: 'string', description: 'Product ID' }
-            },
-            required: ['productId']
-          }
-        }
-      ]
-    };
-  },
-
-  async listResources() {
-    return {
-      resources: [
-        {
-          uri: 'sunrise://site_config',
-          name: 'Site Configuration',
-          description: 'Site-wide configuration and settings',
-          mimeType: 'application/json'
-        },
-        {
-          uri: 'sunrise://product_catalog',
-          name: 'Product Catalog',
-          description: 'Complete product catalog with all items',
-          mimeType: 'application/json'
-        }
-      ]
-    };
-  },
-
-  async listPrompts() {
-    return {
-      prompts: [
-        {
-          name: 'recommend_products',
-          description: 'Generate product recommendations based on user preferences',
-          arguments: [
-            {
-              name: 'user_preferences',
-              description: 'User style preferences and requirements',
-              required: false
-            }
-          ]
-        }
-      ]
-    };
+const getSession = (req, res) => {
+  const id = req.get(MCP_SESSION_HEADER);
+  const session = id && mcpSessions.get(id);
+  if (!session) {
+    jsonRpcError(
+      res,
+      id ? 404 : 400,
+      JSONRPC_ERRORS.INVALID_REQUEST,
+      id ? `Unknown session ${id}` : `Missing ${MCP_SESSION_HEADER} header`
+    );
   }
+  return session;
 };
 
-// AI API Routes
-app.get('/api/ai/capabilities', async (req, res) => {
-  try {
-    const capabilities = await mockAiApiService.getCapabilities();
-    res.json(capabilities);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+app.post('/api/mcp', async (req, res) => {
+  let session;
+  if (!req.get(MCP_SESSION_HEADER) && isInitialize(req.body)) {
+    const clientId = authenticate(req);
+    if (clientId === undefined) {
+      jsonRpcError(res, 401, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid API key');
+      return;
+    }
+    session = mcpSessions.create(crypto.randomUUID(), {
+      streams: new Set(),
+      clientId,
+      remoteAddress: req.ip
+    });
+    res.set(MCP_SESSION_HEADER, session.id);
+  } else {
+    session = getSession(req, res);
+    if (!session) {
+      return;
+    }
   }
-});
 
-app.get('/api/ai/site-info', async (req, res) => {
   try {
-    const siteInfo = await mockAiApiService.getSiteInfo();
-    res.json(siteInfo);
+    const response = await mcpHttpHandler.handleJsonRpc(req.body, { session });
+    if (response) {
+      // Rate limited calls also get the standard header
+      const retryAfter = Math.max(
+        0,
+        ...[].concat(response).map(({ error }) =>
+          error && error.code === JSONRPC_ERRORS.RATE_LIMITED ? error.data.retryAfter : 0
+        )
+      );
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      res.json(response);
+    } else {
+      res.sendStatus(202);
+    }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    jsonRpcError(res, 500, JSONRPC_ERRORS.INTERNAL_ERROR, error.message);
   }
 });
 
-app.get('/api/ai/products', async (req, res) => {
-  try {
-    const products = await mockAiApiService.getProducts(req.query);
-    res.json(products);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+app.get('/api/mcp', (req, res) => {
+  const session = getSession(req, res);
+  if (!session) {
+    return;
   }
-});
 
-app.get('/api/ai/categories', async (req, res) => {
-  try {
-    const categories = await mockAiApiService.getCategories();
-    res.json(categories);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  session.streams.add(res);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEP_ALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    session.streams.delete(res);
+  });
 });
 
-// MCP Protocol Routes
-app.post('/api/mcp/initialize', async (req, res) => {
-  try {
-    const result = await mockMcpServer.initialize();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+app.delete('/api/mcp', (req, res) => {
+  const session = getSession(req, res);
+  if (!session) {
+    return;
   }
+
+  endSession(session);
+  mcpSessions.delete(session.id);
+  res.sendStatus(204);
 });
 
-app.post('/api/mcp/tools/list', async (req, res) => {
-  try {
-    const tools = await mockMcpServer.listTools();
-    res.json(tools);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Audit trail of the calling session
+app.get('/api/mcp/audit', (req, res) => {
+  const session = getSession(req, res);
+  if (!session) {
+    return;
   }
+
+  res.json({ sessionId: session.id, entries: mcpServer.auditLog.trail(session.id) });
 });
 
-app.post('/api/mcp/resources/list', async (req, res) => {
+// Every endpoint AIApiService registers (AI API, legacy MCP paths, llms.txt and
+// the sitemap) is mounted from its route, for all methods so the service answers
+// a wrong method with 405. Unknown paths below /api/ai and /api/mcp get its JSON
+// 404. POST /api/mcp and the routes above are served by the Streamable HTTP transport.
+const AI_API_ROUTES = Array.from(aiApiService.endpoints.keys());
+const AI_API_PREFIXES = Array.from(
+  new Set(
+    AI_API_ROUTES.filter((route) => route.startsWith('/api/')).map(
+      (route) => `${route.split('/').slice(0, 3).join('/')}/*`
+    )
+  )
+);
+app.all(AI_API_ROUTES.concat(AI_API_PREFIXES), async (req, res) => {
   try {
-    const resources = await mockMcpServer.listResources();
-    res.json(resources);
+    const result = await aiApiService.handleRequest(req.method, req.path, req.query, req.body);
+    if (typeof result === 'string') {
+      // Text documents like llms.txt
+      const { endpoint } = aiApiService.matchEndpoint(req.method, req.path);
+      res.type(endpoint.contentType || 'text/plain').send(result);
+      return;
+    }
+    if (result && result.error && result.error.allow) {
+      res.set('Allow', result.error.allow.join(', '));
+    }
+    res.status(httpStatus(result)).json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/mcp/prompts/list', async (req, res) => {
-  try {
-    const prompts = await mockMcpServer.listPrompts();
-    res.json(prompts);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Malformed JSON bodies are JSON-RPC parse errors
+app.use('/api/mcp', (error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    jsonRpcError(res, 400, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error');
+  } else {
+    next(error);
   }
 });
 
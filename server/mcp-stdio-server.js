@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * MCP stdio Server for Sunrise Fashion
+ * Runs the MCP tools, resources and prompts over newline delimited JSON-RPC 2.0
+ * on stdin/stdout so agent hosts can start it as a subprocess.
+ *
+ * The commercetools project is taken from sunrise.config.js, configure it with
+ * the VUE_APP_CT_* environment variables or pass a local config file:
+ *
+ *   node server/mcp-stdio-server.js --config ./my-project.config.js
+ */
+
+const path = require('path');
+
+// stdout is reserved for protocol messages, everything else goes to stderr
+const writeMessage = process.stdout.write.bind(process.stdout);
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const configArg = process.argv.indexOf('--config');
+if (configArg !== -1 && process.argv[configArg + 1]) {
+  process.env.VUE_APP_LOCAL_SUNRISE_CONFIG = path.resolve(
+    process.argv[configArg + 1]
+  );
+}
+
+require('./register');
+const readline = require('readline');
+const {
+  mcpServer,
+  mcpHttpHandler,
+  createSession,
+  shouldNotifySession
+} = require('../src/services/mcpServer');
+
+// The process serves a single client, with its own token and cart. The host
+// that started it is trusted, so it gets the 'stdio' client of the tool policy.
+const session = createSession('stdio');
+session.clientId = 'stdio';
+const pending = new Set();
+
+mcpServer.addNotificationListener((message, origin) => {
+  if (shouldNotifySession(session, message, origin)) {
+    writeMessage(`${JSON.stringify(message)}\n`);
+  }
+});
+
+const handleLine = async (line) => {
+  if (!line.trim()) {
+    return;
+  }
+  const response = await mcpHttpHandler.handleJsonRpc(line, { session });
+  if (response) {
+    writeMessage(`${JSON.stringify(response)}\n`);
+  }
+};
+
+const input = readline.createInterface({ input: process.stdin });
+
+input.on('line', (line) => {
+  const task = handleLine(line)
+    .catch((error) => console.error('MCP stdio error:', error))
+    .finally(() => pending.delete(task));
+  pending.add(task);
+});
+
+// Finish the requests that are still running before exiting
+input.on('close', () => {
+  Promise.all(pending).then(() => process.exit(0));
+});
+
+console.error('🤖 Sunrise Fashion MCP server listening on stdio');
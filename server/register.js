@@ -0,0 +1,55 @@
+/**
+ * Node loader for the storefront sources
+ * Lets server side entry points require the ES module sources in src/ and
+ * composition/ that are otherwise only built by webpack
+ */
+
+const path = require('path');
+const Module = require('module');
+
+const root = path.resolve(__dirname, '..');
+
+// Same aliases as configureWebpack in vue.config.js
+const aliases = {
+  react: path.join(root, 'composition/react'),
+  hooks: path.join(root, 'composition')
+};
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  const [name, ...subPath] = request.split('/');
+  const target = aliases[name]
+    ? path.join(aliases[name], ...subPath)
+    : request;
+  return resolveFilename.call(this, target, ...rest);
+};
+
+// src/services/mcpServer.js draws checkout confirmation tokens from the
+// global crypto of the browser, Node only has it from version 19 on
+if (typeof global.crypto === 'undefined') {
+  global.crypto = require('crypto').webcrypto;
+}
+
+require('@babel/register')({
+  cwd: root,
+  babelrc: false,
+  configFile: false,
+  presets: [
+    [require.resolve('@babel/preset-env'), { targets: { node: 'current' } }]
+  ],
+  only: [
+    (file) =>
+      !file.includes(`${path.sep}node_modules${path.sep}`) &&
+      [
+        path.join(root, 'src'),
+        path.join(root, 'composition'),
+        path.join(root, 'sunrise.config.js')
+      ].some((dir) => file.startsWith(dir))
+  ]
+});
+
+// src/apollo/auth.js keeps the commercetools token in localStorage,
+// in node every process gets its own store kept in memory
+if (typeof global.localStorage === 'undefined') {
+  global.localStorage = require('../src/apollo/storage').createMemoryStorage();
+}
@@ -6,29 +6,41 @@ import {
 } from '@apollo/client/core';
 import config from '../../sunrise.config';
 import fetch from './auth';
-export const cache = new InMemoryCache({
-  //getting default id is broken
-  dataIdFromObject(responseObject) {
-    // if (responseObject?.scopedPrice?.country) {
-    //   console.log('variable:', responseObject.scopedPrice);
-    //   console.log(
-    //     'key:',
-    //     defaultDataIdFromObject(responseObject)
-    //   );
-    //   // return `${defaultDataIdFromObject(
-    //   //   responseObject
-    //   // )}:${JSON.stringify(responseObject.scopedPrice)}`;
-    // }
-    if (responseObject.__typename === 'Me') {
-      //both orders and active cart are identified as "Me" this breaks
-      //  apollo cache
-      return 'activeCart' in responseObject
-        ? 'activeCart'
-        : 'orders';
-    }
-    return defaultDataIdFromObject(responseObject);
-  },
-});
+const createCache = () =>
+  new InMemoryCache({
+    //getting default id is broken
+    dataIdFromObject(responseObject) {
+      // if (responseObject?.scopedPrice?.country) {
+      //   console.log('variable:', responseObject.scopedPrice);
+      //   console.log(
+      //     'key:',
+      //     defaultDataIdFromObject(responseObject)
+      //   );
+      //   // return `${defaultDataIdFromObject(
+      //   //   responseObject
+      //   // )}:${JSON.stringify(responseObject.scopedPrice)}`;
+      // }
+      if (responseObject.__typename === 'Me') {
+        //both orders and active cart are identified as "Me" this breaks
+        //  apollo cache
+        return 'activeCart' in responseObject
+          ? 'activeCart'
+          : 'orders';
+      }
+      return defaultDataIdFromObject(responseObject);
+    },
+  });
+export const cache = createCache();
+//client with its own cache and token handling, used for
+//  server side sessions that must not share a cart
+export const createApolloClient = (fetch) =>
+  new ApolloClient({
+    cache: createCache(),
+    link: createHttpLink({
+      uri: `${config.ct.api}/${config.ct.auth.projectKey}/graphql`,
+      fetch,
+    }),
+  });
 const httpLink = createHttpLink({
   uri: `${config.ct.api}/${config.ct.auth.projectKey}/graphql`,
   fetch,
@@ -0,0 +1,12 @@
+//storage with the localStorage api that keeps the items
+//  in memory, used for server side sessions and as the
+//  localStorage of node processes (server/register.js)
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) =>
+      items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
@@ -5,7 +5,7 @@
 
 import { useStructuredData } from '../composables/useStructuredData.js';
 import { useSEO } from '../composables/useSEO.js';
-import { aiApiService } from '../services/aiApiService.js';
+import { aiApiService, httpStatus } from '../services/aiApiService.js';
 import { mcpServer } from '../services/mcpServer.js';
 
 export default {
@@ -168,20 +168,12 @@ function setupMockApiRoutes() {
         const body = options.body ? JSON.parse(options.body) : null;
         const params = Object.fromEntries(urlObj.searchParams);
         
-        let result;
-        if (urlObj.pathname.startsWith('/api/mcp/')) {
-          // Handle MCP requests
-          const action = urlObj.pathname.split('/').pop();
-          result = await aiApiService.handleMCPRequest(action, body);
-        } else {
-          // Handle AI API requests
-          result = await aiApiService.handleRequest(method, urlObj.pathname, params, body);
-        }
+        // AI API and legacy MCP paths are all registered with aiApiService
+        const result = await aiApiService.handleRequest(method, urlObj.pathname, params, body);
         
         // Return a mock Response object
         return new Response(JSON.stringify(result), {
-          status: result.error ? 500 : 200,
-          statusText: result.error ? 'Internal Server Error' : 'OK',
+          status: httpStatus(result),
           headers: {
             'Content-Type': 'application/json'
           }
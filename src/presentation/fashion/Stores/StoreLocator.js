@@ -2,6 +2,7 @@ import { shallowRef } from 'vue';
 import { useI18n } from 'vue-i18n';
 import useChannels from 'hooks/useChannels';
 import useSelectedChannel from 'hooks/useSelectedChannel';
+import { haversineDistance } from '../../../lib';
 const getCoordinates = ({ lat, lng }) => ({
   lat: parseFloat(lat),
   lng: parseFloat(lng),
@@ -18,27 +19,6 @@ const getLocationFromChannel = (c) =>
     lat: c.geoLocation.coordinates[1],
     lng: c.geoLocation.coordinates[0],
   });
-function haversineDistance(mk1, mk2) {
-  const R = 3958.8; // Radius of the Earth in miles
-  const rlat1 = mk1.lat * (Math.PI / 180); // Convert degrees to radians
-  const rlat2 = mk2.lat * (Math.PI / 180); // Convert degrees to radians
-  const difflat = rlat2 - rlat1; // Radian difference (latitudes)
-  const difflon = (mk2.lng - mk1.lng) * (Math.PI / 180); // Radian difference (longitudes)
-
-  const d =
-    2 *
-    R *
-    Math.asin(
-      Math.sqrt(
-        Math.sin(difflat / 2) * Math.sin(difflat / 2) +
-          Math.cos(rlat1) *
-            Math.cos(rlat2) *
-            Math.sin(difflon / 2) *
-            Math.sin(difflon / 2)
-      )
-    );
-  return d;
-}
 function initialLocation(channel) {
   const [lng = 10.0015642, lat = 53.5512179] =
     channel.value?.geoLocation?.coordinates || [];
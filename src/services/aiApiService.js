@@ -4,10 +4,132 @@
  */
 
 import { mcpHttpHandler } from './mcpServer.js';
+import { validateSchema } from './schemaValidator.js';
+import { buildOpenApiDocument, MCP_METHOD_SCHEMAS } from './openApi.js';
+import { LlmsTxtGenerator } from './llmsTxt.js';
+import { SitemapGenerator, SHARDS, pageUrl } from './sitemap.js';
+
+const MCP_PATH = '/api/mcp';
+
+// Query parameters of the product listings, values arrive as strings and are
+// converted to the declared type before they are validated
+const PRODUCT_LIST_QUERY = {
+  limit: { type: 'integer', minimum: 1, maximum: 100 },
+  offset: { type: 'integer', minimum: 0 },
+  sortBy: { type: 'string', enum: ['name', 'price', 'rating'] },
+  sortOrder: { type: 'string', enum: ['asc', 'desc'] },
+  category: { type: 'string', minLength: 1, maxLength: 100 }
+};
+const PRODUCTS_QUERY = {
+  ...PRODUCT_LIST_QUERY,
+  search: { type: 'string', minLength: 1, maxLength: 200 },
+  includeVariants: { type: 'boolean' },
+  includeImages: { type: 'boolean' }
+};
+const SEARCH_QUERY = {
+  ...PRODUCT_LIST_QUERY,
+  q: { type: 'string', maxLength: 200 }
+};
+
+const siteUrl = () =>
+  typeof window !== 'undefined' ? window.location.origin : 'https://ecom-001-jsonldmcp.k8s.it';
+
+// Content type of the AI sitemap pages by sitemap entry type
+const SITEMAP_CONTENT_TYPES = {
+  homepage: 'homepage',
+  stores: 'store-locator',
+  category: 'product-listing',
+  product: 'product-detail'
+};
+
+const errorResponse = (code, message, details = {}) => ({
+  error: {
+    message,
+    code,
+    ...details,
+    timestamp: new Date().toISOString()
+  }
+});
+
+// HTTP status for a handled request. Failures are reported as an error object
+// whose code is an HTTP status, or a JSON-RPC code for the legacy MCP paths.
+export const httpStatus = (result) => {
+  if (!result || !result.error) {
+    return 200;
+  }
+  const { code } = result.error;
+  return Number.isInteger(code) && code >= 400 && code < 600 ? code : 400;
+};
+
+// /api/ai/products/:id becomes a pattern with one group per parameter
+const compiledRoutes = new Map();
+const compileRoute = (route) => {
+  if (!compiledRoutes.has(route)) {
+    const names = [];
+    const pattern = route
+      .split('/')
+      .map((segment) => {
+        if (segment.startsWith(':')) {
+          names.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+    compiledRoutes.set(route, { regex: new RegExp(`^${pattern}$`), names });
+  }
+  return compiledRoutes.get(route);
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+const coerceQueryValue = (schema, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Converts the declared query parameters and lists the invalid ones,
+// parameters without a declaration are passed on unchecked
+const parseQuery = (schema, query = {}) => {
+  const params = { ...query };
+  Object.entries(schema).forEach(([name, property]) => {
+    if (params[name] !== undefined) {
+      params[name] = coerceQueryValue(property, params[name]);
+    }
+  });
+  const invalid = validateSchema({ type: 'object', properties: schema }, params).map(
+    ({ path, message }) => ({ name: path, message })
+  );
+  return { params, invalid };
+};
 
 export class AIApiService {
-  constructor() {
+  constructor({ catalog = mcpHttpHandler.server, llmsTxt = {}, sitemap = {} } = {}) {
     this.endpoints = new Map();
+    this.sitemap = new SitemapGenerator({ catalog, siteUrl: siteUrl(), ...sitemap });
+    this.llmsTxt = new LlmsTxtGenerator({
+      catalog,
+      loadSite: async () => ({
+        info: await this.getSiteInfo(),
+        structure: await this.getSiteStructure()
+      }),
+      ...llmsTxt
+    });
     this.registerEndpoints();
   }
 
@@ -23,6 +145,8 @@ export class AIApiService {
     this.endpoints.set('/api/ai/products', {
       method: 'GET',
       description: 'Get product catalog with AI-friendly structure',
+      query: PRODUCTS_QUERY,
+      response: 'ProductList',
       handler: this.getProducts.bind(this)
     });
 
@@ -30,6 +154,7 @@ export class AIApiService {
     this.endpoints.set('/api/ai/products/:id', {
       method: 'GET',
       description: 'Get detailed product information',
+      response: 'ProductDetails',
       handler: this.getProductDetails.bind(this)
     });
 
@@ -37,6 +162,7 @@ export class AIApiService {
     this.endpoints.set('/api/ai/categories', {
       method: 'GET',
       description: 'Get product categories hierarchy',
+      response: 'CategoryList',
       handler: this.getCategories.bind(this)
     });
 
@@ -44,6 +170,8 @@ export class AIApiService {
     this.endpoints.set('/api/ai/search', {
       method: 'GET',
       description: 'Search products with AI-optimized results',
+      query: SEARCH_QUERY,
+      response: 'SearchResults',
       handler: this.searchProducts.bind(this)
     });
 
@@ -61,13 +189,28 @@ export class AIApiService {
       handler: this.getSchemaData.bind(this)
     });
 
-    // MCP endpoints
-    this.endpoints.set('/api/mcp/:action', {
+    // MCP JSON-RPC 2.0 endpoint
+    this.endpoints.set('/api/mcp', {
       method: 'POST',
-      description: 'Model Context Protocol endpoints',
-      handler: this.handleMCPRequest.bind(this)
+      description: 'Model Context Protocol JSON-RPC 2.0 endpoint',
+      body: 'JsonRpcRequest',
+      response: 'JsonRpcResponse',
+      handler: this.handleMCPJsonRpc.bind(this)
     });
 
+    // MCP endpoints (legacy paths), one per JSON-RPC method of the MCP handler.
+    // Notifications have no response and are only accepted on /api/mcp.
+    Array.from(mcpHttpHandler.methods.keys())
+      .filter((action) => !action.startsWith('notifications/'))
+      .forEach((action) => {
+        this.endpoints.set(`${MCP_PATH}/${action}`, {
+          method: 'POST',
+          description: `Model Context Protocol ${action}`,
+          ...MCP_METHOD_SCHEMAS[action],
+          handler: (params, body) => this.handleMCPRequest(action, body)
+        });
+      });
+
     // AI capabilities endpoint
     this.endpoints.set('/api/ai/capabilities', {
       method: 'GET',
@@ -81,6 +224,43 @@ export class AIApiService {
       description: 'Get AI-optimized sitemap',
       handler: this.getAISitemap.bind(this)
     });
+
+    // llms.txt index and full text for language models, served from the site root
+    this.endpoints.set('/llms.txt', {
+      method: 'GET',
+      description: 'Get the llms.txt index of the site',
+      contentType: 'text/plain; charset=utf-8',
+      handler: this.getLlmsTxt.bind(this)
+    });
+
+    this.endpoints.set('/llms-full.txt', {
+      method: 'GET',
+      description: 'Get product descriptions, prices per country and policies as markdown',
+      contentType: 'text/plain; charset=utf-8',
+      handler: this.getLlmsFullTxt.bind(this)
+    });
+
+    // XML sitemap index and its shards per country and locale
+    this.endpoints.set('/sitemap.xml', {
+      method: 'GET',
+      description: 'Get the XML sitemap index',
+      contentType: 'application/xml; charset=utf-8',
+      handler: this.getSitemapIndex.bind(this)
+    });
+
+    this.endpoints.set('/sitemaps/:shard', {
+      method: 'GET',
+      description: 'Get the XML sitemap of one country and locale, e.g. DE-en.xml',
+      contentType: 'application/xml; charset=utf-8',
+      handler: this.getSitemapShard.bind(this)
+    });
+
+    // OpenAPI description of the endpoints above
+    this.endpoints.set('/api/ai/openapi.json', {
+      method: 'GET',
+      description: 'Get the OpenAPI 3.1 document of the AI API',
+      handler: this.getOpenApiDocument.bind(this)
+    });
   }
 
   async getSiteInfo() {
@@ -89,7 +269,7 @@ export class AIApiService {
       description: 'Premium fashion e-commerce platform powered by CommerceTools',
       type: 'e-commerce',
       industry: 'fashion',
-      url: typeof window !== 'undefined' ? window.location.origin : 'https://ecom-001-jsonldmcp.k8s.it',
+      url: siteUrl(),
       languages: ['en', 'de'],
       countries: ['US', 'DE'],
       currencies: ['USD', 'EUR'],
@@ -625,6 +805,10 @@ export class AIApiService {
     return await mcpHttpHandler.handleRequest('POST', mcpPath, body);
   }
 
+  async handleMCPJsonRpc(params, body) {
+    return await mcpHttpHandler.handleJsonRpc(body);
+  }
+
   async getAICapabilities() {
     return {
       capabilities: {
@@ -666,11 +850,14 @@ export class AIApiService {
       protocols: {
         mcp: {
           version: '2024-11-05',
-          features: ['tools', 'resources', 'prompts']
+          features: ['tools', 'resources', 'prompts'],
+          transport: 'JSON-RPC 2.0',
+          endpoint: '/api/mcp'
         },
         rest: {
           version: '1.0',
-          authentication: 'optional'
+          authentication: 'optional',
+          openapi: '/api/ai/openapi.json'
         }
       },
       meta: {
@@ -680,55 +867,63 @@ export class AIApiService {
     };
   }
 
+  async getLlmsTxt() {
+    const { index } = await this.llmsTxt.documents();
+    return index;
+  }
+
+  async getLlmsFullTxt() {
+    const { full } = await this.llmsTxt.documents();
+    return full;
+  }
+
+  async getOpenApiDocument() {
+    return buildOpenApiDocument(this.endpoints, {
+      serverUrl: siteUrl()
+    });
+  }
+
+  async getSitemapIndex() {
+    return this.sitemap.index();
+  }
+
+  async getSitemapShard(shard) {
+    const xml = shard.endsWith('.xml') && (await this.sitemap.shard(shard.slice(0, -4)));
+    return xml || errorResponse(404, `Sitemap not found: ${shard}`);
+  }
+
+  // The pages of the default country and locale from the XML sitemap
   async getAISitemap() {
+    const { entries, generatedAt } = await this.sitemap.documents();
+    const [shard] = SHARDS;
+    const pages = entries
+      .filter(({ paths }) => paths[shard.name] !== undefined)
+      .map(({ type, paths, lastmod, changefreq, priority, sku }) => ({
+        url: pageUrl('', shard, paths[shard.name]),
+        type,
+        priority,
+        changeFreq: changefreq,
+        lastMod: lastmod ? lastmod.slice(0, 10) : null,
+        aiMetadata: {
+          contentType: SITEMAP_CONTENT_TYPES[type],
+          ...(sku ? { sku } : {})
+        }
+      }));
+    const count = (type) => pages.filter((page) => page.type === type).length;
+
     return {
       sitemap: {
-        pages: [
-          {
-            url: '/',
-            type: 'homepage',
-            priority: 1.0,
-            changeFreq: 'daily',
-            lastMod: '2024-08-28',
-            aiMetadata: {
-              contentType: 'homepage',
-              primaryPurpose: 'product discovery',
-              keyFeatures: ['hero banner', 'featured products', 'categories']
-            }
-          },
-          {
-            url: '/products/women',
-            type: 'category',
-            priority: 0.9,
-            changeFreq: 'daily',
-            lastMod: '2024-08-28',
-            aiMetadata: {
-              contentType: 'product-listing',
-              category: 'women',
-              productCount: 85
-            }
-          },
-          {
-            url: '/product/elegant-summer-dress/prod-1',
-            type: 'product',
-            priority: 0.8,
-            changeFreq: 'weekly',
-            lastMod: '2024-08-20',
-            aiMetadata: {
-              contentType: 'product-detail',
-              productId: 'prod-1',
-              category: 'women-dresses',
-              price: 89.99,
-              availability: 'in-stock'
-            }
-          }
-        ],
+        pages,
         statistics: {
-          totalPages: 175,
-          lastGenerated: new Date().toISOString(),
-          categories: 8,
-          products: 150,
-          staticPages: 17
+          totalPages: pages.length,
+          lastGenerated: generatedAt,
+          categories: count('category'),
+          products: count('product'),
+          staticPages: pages.length - count('category') - count('product')
+        },
+        xml: {
+          index: '/sitemap.xml',
+          shards: SHARDS.map(({ name }) => `/sitemaps/${name}.xml`)
         }
       },
       meta: {
@@ -739,53 +934,63 @@ export class AIApiService {
     };
   }
 
-  // Handle API requests
-  async handleRequest(method, path, params = {}, body = null) {
-    // Match dynamic routes
-    let matchedEndpoint = null;
-    let pathParams = {};
-
-    for (const [route, config] of this.endpoints) {
-      if (route.includes(':')) {
-        const routePattern = route.replace(/:[^/]+/g, '([^/]+)');
-        const regex = new RegExp(`^${routePattern}$`);
-        const match = path.match(regex);
-        
-        if (match && config.method === method) {
-          matchedEndpoint = config;
-          const paramNames = route.match(/:[^/]+/g) || [];
-          paramNames.forEach((param, index) => {
-            pathParams[param.substring(1)] = match[index + 1];
-          });
-          break;
-        }
-      } else if (route === path && config.method === method) {
-        matchedEndpoint = config;
-        break;
+  // Finds the endpoint for a request. Static routes win over parameterized
+  // ones, { allow } lists the methods when only the method does not match.
+  matchEndpoint(method, path) {
+    const requested = method === 'HEAD' ? 'GET' : method;
+    const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+    const matches = [];
+    this.endpoints.forEach((endpoint, route) => {
+      const { regex, names } = compileRoute(route);
+      const match = normalized.match(regex);
+      if (match) {
+        const pathParams = names.reduce((params, name, index) => {
+          params[name] = decodeSegment(match[index + 1]);
+          return params;
+        }, {});
+        matches.push({ route, endpoint, pathParams, names });
       }
+    });
+    if (!matches.length) {
+      return null;
     }
 
-    if (!matchedEndpoint) {
-      throw new Error(`Endpoint not found: ${method} ${path}`);
+    const allowed = matches
+      .filter(({ endpoint }) => endpoint.method === requested)
+      .sort((a, b) => a.names.length - b.names.length);
+    return allowed[0] || {
+      allow: [...new Set(matches.map(({ endpoint }) => endpoint.method))]
+    };
+  }
+
+  // Handle API requests. Unknown paths get a 404, known paths with another
+  // method a 405 and invalid query parameters a 400 listing them.
+  async handleRequest(method, path, params = {}, body = null) {
+    const matched = this.matchEndpoint(method, path);
+    if (!matched) {
+      return errorResponse(404, `Endpoint not found: ${method} ${path}`);
+    }
+    if (matched.allow) {
+      return errorResponse(405, `Method ${method} not allowed for ${path}`, {
+        allow: matched.allow
+      });
+    }
+
+    const { endpoint, pathParams, names } = matched;
+    const { params: query, invalid } = parseQuery(endpoint.query || {}, params);
+    if (invalid.length) {
+      return errorResponse(400, 'Invalid query parameters', { fields: invalid });
     }
 
     try {
-      if (pathParams.id) {
-        return await matchedEndpoint.handler(pathParams.id, params, body);
-      } else if (path.includes('/mcp/')) {
-        const action = pathParams.action || path.split('/').pop();
-        return await matchedEndpoint.handler(action, body);
-      } else {
-        return await matchedEndpoint.handler(params, body);
-      }
+      // Path parameters come first, in the order of the route
+      return await endpoint.handler(
+        ...names.map((name) => pathParams[name]),
+        query,
+        body
+      );
     } catch (error) {
-      return {
-        error: {
-          message: error.message,
-          code: 500,
-          timestamp: new Date().toISOString()
-        }
-      };
+      return errorResponse(500, error.message);
     }
   }
 }
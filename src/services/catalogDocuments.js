@@ -0,0 +1,49 @@
+/**
+ * Catalog Documents
+ * Base of the generators that render documents from the live catalog, like
+ * llms.txt and the XML sitemap. The catalog is the MCP server, so its
+ * commercetools queries are reused. documents() resolves to what generate()
+ * of the subclass returns: generated on the first request and kept for ttl ms,
+ * concurrent requests share one generation and a failed one is not kept.
+ */
+
+export const CATALOG_DOCUMENTS_TTL = 60 * 60 * 1000;
+
+export class CatalogDocuments {
+  constructor({ catalog, ttl = CATALOG_DOCUMENTS_TTL, now = () => Date.now() }) {
+    this.catalog = catalog;
+    this.ttl = ttl;
+    this.now = now;
+    this.cache = null;
+  }
+
+  documents() {
+    if (!this.cache || this.cache.expiresAt <= this.now()) {
+      const entry = { expiresAt: Infinity };
+      entry.result = Promise.resolve()
+        .then(() => this.generate())
+        .then(
+          (documents) => {
+            entry.expiresAt = this.now() + this.ttl;
+            return documents;
+          },
+          (error) => {
+            if (this.cache === entry) {
+              this.cache = null;
+            }
+            return Promise.reject(error);
+          }
+        );
+      this.cache = entry;
+    }
+    return this.cache.result;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async generate() {
+    throw new Error(`${this.constructor.name} does not implement generate()`);
+  }
+}
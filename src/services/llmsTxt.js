@@ -0,0 +1,132 @@
+/**
+ * llms.txt Generator
+ * Renders /llms.txt, a markdown index of the site for language models, and
+ * /llms-full.txt with product descriptions, prices per country and the shop
+ * policies. Both are rendered from one load of the catalog.
+ */
+
+import config from '../../sunrise.config';
+import { CatalogDocuments } from './catalogDocuments.js';
+import { formatProduct, markdownPrice } from './mcpServer.js';
+
+// Products listed in the files, in the order of the catalog
+export const LLMS_PRODUCT_LIMIT = 100;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const link = (name, url, note) => `- [${name}](${url})${note ? `: ${note}` : ''}`;
+
+// Products of every country merged by id, with the price of each country
+const mergeCountryPrices = (listsByCountry) => {
+  const products = new Map();
+  listsByCountry.forEach(({ country, products: list }) => {
+    list.forEach((product) => {
+      if (!products.has(product.id)) {
+        products.set(product.id, { ...product, prices: {} });
+      }
+      products.get(product.id).prices[country] = product.price;
+    });
+  });
+  return Array.from(products.values());
+};
+
+const header = (info) => [`# ${info.name}`, '', `> ${info.description}`, ''];
+
+export const renderLlmsTxt = ({ info, structure, categories, products }) => {
+  const url = (path) => `${info.url}${path}`;
+  return [
+    ...header(info),
+    `${capitalize(info.industry)} ${info.type} shop in ${info.countries.join(', ')}, ` +
+      `available in ${info.languages.join(', ')} with prices in ${info.currencies.join(', ')}.`,
+    '',
+    '## Sections',
+    ...structure.navigation.main.map(({ name, path }) => link(name, url(path))),
+    '',
+    '## Categories',
+    ...categories.map(({ name, url: path }) => link(name, url(path))),
+    '',
+    '## Products',
+    ...products.map((product) =>
+      link(product.name, url(product.url), markdownPrice(product.price))
+    ),
+    '',
+    '## Optional',
+    link('Full catalog', url('/llms-full.txt'), 'product descriptions, prices per country and policies'),
+    link('AI API', url('/api/ai/openapi.json'), 'OpenAPI 3.1 document'),
+    ...structure.navigation.footer.map(({ name, path }) => link(name, url(path))),
+    ''
+  ].join('\n');
+};
+
+export const renderLlmsFullTxt = ({ info, categories, products }) => {
+  const url = (path) => `${info.url}${path}`;
+  return [
+    ...header(info),
+    '## Policies',
+    ...Object.entries(info.policies).map(([name, policy]) => `- ${capitalize(name)}: ${policy}`),
+    '',
+    '## Contact',
+    `- Email: ${info.contact.supportEmail}`,
+    `- Business hours: ${info.contact.businessHours} (${info.contact.timezone})`,
+    '',
+    '## Categories',
+    ...categories.map(({ name, url: path }) => link(name, url(path))),
+    '',
+    '## Products',
+    ...products.flatMap((product) => [
+      '',
+      `### ${product.name}`,
+      '',
+      `- SKU: ${product.sku}`,
+      `- URL: ${url(product.url)}`,
+      ...Object.entries(product.prices).map(
+        ([country, price]) => `- Price ${config.countries[country] || country}: ${markdownPrice(price)}`
+      ),
+      ...(product.description ? ['', product.description.trim()] : [])
+    ]),
+    ''
+  ].join('\n');
+};
+
+// documents() resolves to { index, full }
+export class LlmsTxtGenerator extends CatalogDocuments {
+  // loadSite returns the site info and structure of the AI API
+  constructor({ loadSite, productLimit = LLMS_PRODUCT_LIMIT, ...options }) {
+    super(options);
+    this.loadSite = loadSite;
+    this.productLimit = productLimit;
+  }
+
+  async generate() {
+    const { info, structure } = await this.loadSite();
+    const contexts = Object.keys(config.countries).map((country) =>
+      this.catalog.resolveContext({ country })
+    );
+    const [context] = contexts;
+
+    const [{ results }, ...listsByCountry] = await Promise.all([
+      this.catalog.fetchCategories({ level: 1 }, context),
+      ...contexts.map(async (countryContext) => {
+        const { results: products } = await this.catalog.queryProducts(
+          { limit: this.productLimit, expand: { description: true } },
+          countryContext
+        );
+        return {
+          country: countryContext.country,
+          products: products.map((product) => formatProduct(product, countryContext))
+        };
+      })
+    ]);
+
+    const data = {
+      info,
+      structure,
+      categories: results.map(({ name, slug }) => ({
+        name,
+        url: `/${context.country}/${context.locale}/products/${slug}`
+      })),
+      products: mergeCountryPrices(listsByCountry)
+    };
+    return { index: renderLlmsTxt(data), full: renderLlmsFullTxt(data) };
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * MCP Tool Policy
+ * Decides which tools a client may call and how often, following the
+ * mcpPolicy section of sunrise.config.js. Tools are read-only or mutating,
+ * clients get allow/deny lists of tool names or classes and every client
+ * has a sliding window rate limit over all tools and per tool.
+ */
+
+import config from '../../sunrise.config';
+
+export const READ_ONLY = 'read-only';
+export const MUTATING = 'mutating';
+
+// Rules for clients without an own entry, and for unauthenticated ones
+const DEFAULT_CLIENT = '*';
+// Key of the limit over all tools of a session
+const SESSION_LIMIT = '*';
+
+export class MCPToolPolicy {
+  constructor(policy = config.mcpPolicy || {}, { now = () => Date.now() } = {}) {
+    this.policy = policy;
+    this.now = now;
+    this.readOnlyTools = new Set(policy.readOnlyTools || []);
+    // Call times per caller and limit. Authenticated clients are counted over
+    // all their sessions and other sessions per address, so opening a new
+    // session does not reset the limits. Sessions without either are counted
+    // alone and dropped together with the session.
+    this.calls = new Map();
+    this.sessionCalls = new WeakMap();
+    this.sessionlessCalls = {};
+  }
+
+  // Tools that are not listed as read-only are treated as mutating
+  classify(name) {
+    return this.readOnlyTools.has(name) ? READ_ONLY : MUTATING;
+  }
+
+  clientRules(clientId) {
+    const clients = this.policy.clients || {};
+    return (clientId && clients[clientId]) || clients[DEFAULT_CLIENT] || {};
+  }
+
+  // deny wins over allow, without an allow list every tool is allowed
+  isAllowed(name, clientId) {
+    const { allow, deny = [] } = this.clientRules(clientId);
+    const matches = (rules) =>
+      rules.includes(name) || rules.includes(this.classify(name));
+    return !matches(deny) && (!allow || matches(allow));
+  }
+
+  limitsFor(name) {
+    const { session, tools = {} } = this.policy.rateLimits || {};
+    const tool = tools[name] || tools[this.classify(name)];
+    return [
+      session && { key: SESSION_LIMIT, scope: 'session', ...session },
+      tool && { key: name, scope: `tool ${name}`, ...tool }
+    ].filter(Boolean);
+  }
+
+  callsOf(session) {
+    if (!session) {
+      return this.sessionlessCalls;
+    }
+    const key = session.clientId
+      ? `client:${session.clientId}`
+      : session.remoteAddress && `address:${session.remoteAddress}`;
+    if (!key) {
+      if (!this.sessionCalls.has(session)) {
+        this.sessionCalls.set(session, {});
+      }
+      return this.sessionCalls.get(session);
+    }
+    if (!this.calls.has(key)) {
+      this.calls.set(key, {});
+    }
+    return this.calls.get(key);
+  }
+
+  // Drops the callers without calls in any window, the transport calls this
+  // periodically
+  sweep() {
+    const now = this.now();
+    const { session, tools = {} } = this.policy.rateLimits || {};
+    const longestWindow = Math.max(
+      0,
+      ...[session, ...Object.values(tools)].filter(Boolean).map(({ windowMs }) => windowMs)
+    );
+    this.calls.forEach((calls, key) => {
+      const active = Object.values(calls).some((times) =>
+        times.some((calledAt) => calledAt > now - longestWindow)
+      );
+      if (!active) {
+        this.calls.delete(key);
+      }
+    });
+  }
+
+  // Counts the call if it is within every limit. Returns null then, otherwise
+  // the exceeded limit with the seconds until the call would be accepted.
+  consume(name, session) {
+    const now = this.now();
+    const calls = this.callsOf(session);
+    const limits = this.limitsFor(name).map((limit) => ({
+      ...limit,
+      recent: (calls[limit.key] || []).filter(
+        (calledAt) => calledAt > now - limit.windowMs
+      )
+    }));
+    limits.forEach(({ key, recent }) => {
+      calls[key] = recent;
+    });
+
+    const exceeded = limits
+      .filter(({ max, recent }) => recent.length >= max)
+      .map(({ scope, max, windowMs, recent }) => ({
+        scope,
+        max,
+        windowMs,
+        retryAfter: Math.max(
+          1,
+          Math.ceil((recent[recent.length - max] + windowMs - now) / 1000)
+        )
+      }))
+      .sort((a, b) => b.retryAfter - a.retryAfter);
+    if (exceeded.length) {
+      return exceeded[0];
+    }
+
+    limits.forEach(({ key }) => calls[key].push(now));
+    return null;
+  }
+}
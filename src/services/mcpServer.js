@@ -3,11 +3,1004 @@
  * Provides structured data access for AI agents
  */
 
-class MCPServer {
-  constructor() {
+import { encodeURL, decode } from 'js-base64';
+import config from '../../sunrise.config';
+import { MCPToolPolicy, READ_ONLY } from './mcpPolicy';
+import { apolloClient, createApolloClient } from '../apollo';
+import { createTokenAuth, createMemoryStorage } from '../apollo/auth';
+import { getAttributeValue } from '../containers/lib';
+import { haversineDistance } from '../lib';
+import {
+  query as productsQuery,
+  createPriceSelector,
+  facetsQuery,
+  productTypesQuery,
+  scopedPriceFilter,
+  updateFilters,
+} from '../../composition/ct/useProducts';
+import {
+  createQuery as createCategoriesQuery,
+  createWhere as createCategoriesWhere,
+} from '../../composition/ct/useCategories';
+import { query as cartQuery } from '../../composition/ct/useCart';
+import {
+  query as channelsQuery,
+  circleWhere
+} from '../../composition/ct/useChannels';
+import { query as shippingMethodsQuery } from '../../composition/ct/useShippingMethods';
+import { query as myOrdersQuery } from '../../composition/ct/useMyOrders';
+import {
+  query as myOrderQuery,
+  withReturnedItems
+} from '../../composition/ct/useMyOrder';
+import {
+  customerQuery,
+  loginMutation,
+  loginVars,
+  updateCustomerMutation
+} from '../../composition/ct/useCustomerTools';
+import {
+  validateSchema,
+  promptArgumentsSchema,
+  formatViolations
+} from './schemaValidator';
+import {
+  addLineItem,
+  changeCartLineItemQuantity,
+  removeLineItem,
+  addDiscountCode,
+  removeDiscountCode,
+  setBillingAddress,
+  setShippingAddress,
+  setShippingMethod,
+  setLineItemDistributionChannel,
+  createMyOrderFromCart,
+  addPayment,
+  paymentDraft,
+  paymentMutation,
+  create as createCartMutation,
+  mutation as updateCartMutation,
+  deleteCart as deleteCartMutation,
+} from '../../composition/ct/useCartMutation';
+
+// JSON-RPC 2.0 and MCP error codes
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+  TOOL_NOT_ALLOWED: -32003,
+  RATE_LIMITED: -32004
+};
+
+// Error carrying a JSON-RPC error code, thrown by protocol methods
+export class MCPError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'MCPError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Newest first, initialize answers with the client's version when supported
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+export const CART_RESOURCE_URI = 'sunrise://cart/current';
+
+// commercetools order states, list_orders filters on them
+const ORDER_STATES = ['Open', 'Confirmed', 'Complete', 'Cancelled'];
+const SHIPMENT_STATES = ['Shipped', 'Ready', 'Pending', 'Delayed', 'Partial', 'Backorder'];
+
+// Levels of logging/setLevel and notifications/message, least severe first
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const DEFAULT_LOG_LEVEL = 'warning';
+// Marks tool results of invalid arguments, logged as warnings. Not enumerable,
+// so it never reaches the client.
+const INVALID_ARGUMENTS = Symbol('invalidArguments');
+
+// Sessions are dropped after this long without a request
+export const SESSION_TTL = 30 * 60 * 1000;
+
+// A connected client, subscriptions decide which resource updates it receives.
+// Every session has its own commercetools token, so its own anonymous cart.
+// The transport sets clientId when it authenticated the client and the
+// remoteAddress it is connected from, the tool policy goes by both.
+export const createSession = (id) => ({
+  id,
+  subscriptions: new Set(),
+  createdAt: new Date().toISOString(),
+  lastActiveAt: Date.now(),
+  auth: createTokenAuth(createMemoryStorage()),
+  clientId: null,
+  remoteAddress: null,
+  logLevel: DEFAULT_LOG_LEVEL,
+  client: null,
+  cartId: null,
+  cartVersion: null,
+  channel: null,
+  customer: null
+});
+
+// Policy client id of the calls without a session in the browser
+export const STOREFRONT_CLIENT_ID = 'storefront';
+
+// Tools on the cart or the customer of the caller. A call without a session
+// only has a caller in the browser, where the storefront client holds the
+// shopper's token.
+const CALLER_TOOLS = new Set([
+  'get_cart',
+  'add_to_cart',
+  'update_cart_item',
+  'remove_cart_item',
+  'apply_discount_code',
+  'remove_discount_code',
+  'list_orders',
+  'get_order',
+  'sign_out',
+  'get_user_info',
+  'update_profile',
+  'add_address',
+  'update_address',
+  'remove_address'
+]);
+
+// Notifications caused by a session (cart updates) only go to that session
+export const shouldNotifySession = (session, message, origin) =>
+  (!origin || origin === session) &&
+  (message.method !== 'notifications/resources/updated' ||
+    session.subscriptions.has(message.params.uri));
+
+// Sessions of a transport that serves many clients, expired on inactivity
+export class MCPSessionStore {
+  constructor({ ttl = SESSION_TTL, onExpire = () => undefined } = {}) {
+    this.ttl = ttl;
+    this.onExpire = onExpire;
+    this.sessions = new Map();
+  }
+
+  create(id, extra = {}) {
+    const session = { ...createSession(id), ...extra };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  // Returns the session and marks it active, null when unknown or expired
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (this.isExpired(session)) {
+      this.expire(session);
+      return null;
+    }
+    session.lastActiveAt = Date.now();
+    return session;
+  }
+
+  delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  forEach(callback) {
+    this.sessions.forEach(callback);
+  }
+
+  isExpired(session) {
+    return Date.now() - session.lastActiveAt >= this.ttl;
+  }
+
+  expire(session) {
+    this.sessions.delete(session.id);
+    this.onExpire(session);
+  }
+
+  // Drops every expired session, call it periodically
+  sweep() {
+    Array.from(this.sessions.values())
+      .filter((session) => this.isExpired(session))
+      .forEach((session) => this.expire(session));
+  }
+}
+
+// How long a prepared checkout can be confirmed with confirm_order
+export const CHECKOUT_CONFIRMATION_TTL = 10 * 60 * 1000;
+
+// Payment methods offered by the checkout page
+const PAYMENT_METHODS = ['card', 'paypal'];
+
+// Node has no global crypto before version 19, server/register.js provides it
+const createConfirmationToken = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+
+const DEFAULT_LOCALE = Object.keys(config.languages)[0];
+const DEFAULT_COUNTRY = Object.keys(config.countries)[0];
+
+// Shared schema properties for tools that depend on locale and price scope
+const localeProperty = {
+  type: 'string',
+  description: `Locale for names and slugs (${Object.keys(config.languages).join(', ')})`,
+  enum: Object.keys(config.languages)
+};
+const countryProperty = {
+  type: 'string',
+  description: `Country used to select prices (${Object.keys(config.countries).join(', ')})`,
+  enum: Object.keys(config.countries)
+};
+
+const emailProperty = {
+  type: 'string',
+  description: 'Email address',
+  pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$'
+};
+
+// Same fields as the checkout address form (hooks/useBaseAddress.js)
+const addressFields = {
+  firstName: { type: 'string', minLength: 1 },
+  lastName: { type: 'string', minLength: 1 },
+  streetName: { type: 'string', minLength: 1 },
+  additionalStreetInfo: { type: 'string' },
+  postalCode: { type: 'string', minLength: 1 },
+  city: { type: 'string', minLength: 1 },
+  phone: { type: 'string' },
+  email: emailProperty
+};
+
+// Argument values that never go to the audit log
+const AUDIT_REDACTED_FIELDS = new Set([
+  ...Object.keys(addressFields),
+  'password',
+  'confirmationToken'
+]);
+
+export const redactArguments = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactArguments);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [
+        key,
+        AUDIT_REDACTED_FIELDS.has(key) ? '[redacted]' : redactArguments(field)
+      ])
+    );
+  }
+  return value;
+};
+
+// Calls kept in memory per session, sinks get every entry
+export const AUDIT_TRAIL_LIMIT = 500;
+
+// Record of the tool calls, resource reads and prompts of every session
+export class MCPAuditLog {
+  constructor({
+    limit = AUDIT_TRAIL_LIMIT,
+    onError = (error) => console.error('MCP audit sink failed:', error)
+  } = {}) {
+    this.limit = limit;
+    this.onError = onError;
+    this.sinks = new Set();
+    this.trails = new Map();
+  }
+
+  // A sink is called with every entry, it may return a promise
+  addSink(sink) {
+    this.sinks.add(sink);
+    return () => this.sinks.delete(sink);
+  }
+
+  record(entry) {
+    if (entry.sessionId) {
+      const trail = this.trails.get(entry.sessionId) || [];
+      trail.push(entry);
+      if (trail.length > this.limit) {
+        trail.shift();
+      }
+      this.trails.set(entry.sessionId, trail);
+    }
+    // A failing sink must not fail the call that is audited
+    this.sinks.forEach((sink) => {
+      try {
+        Promise.resolve(sink(entry)).catch(this.onError);
+      } catch (error) {
+        this.onError(error);
+      }
+    });
+  }
+
+  trail(sessionId) {
+    return (this.trails.get(sessionId) || []).slice();
+  }
+
+  forget(sessionId) {
+    this.trails.delete(sessionId);
+  }
+}
+
+// Checkout addresses, the country always comes from the cart
+const addressProperty = (description) => ({
+  type: 'object',
+  description,
+  properties: addressFields,
+  required: ['firstName', 'lastName', 'streetName', 'postalCode', 'city', 'email'],
+  additionalProperties: false
+});
+
+// Address book entries of a customer
+const customerAddressProperty = {
+  type: 'object',
+  description: 'Address',
+  properties: {
+    ...addressFields,
+    country: {
+      type: 'string',
+      description: 'Country code',
+      enum: Object.keys(config.countries)
+    }
+  },
+  required: ['firstName', 'lastName', 'streetName', 'postalCode', 'city', 'country'],
+  additionalProperties: false
+};
+const defaultAddressProperties = {
+  defaultShipping: {
+    type: 'boolean',
+    description: 'Make this the default shipping address (optional)'
+  },
+  defaultBilling: {
+    type: 'boolean',
+    description: 'Make this the default billing address (optional)'
+  }
+};
+
+const jsonContent = (data) => ({
+  content: [
+    {
+      type: 'text',
+      text: JSON.stringify(data, null, 2)
+    }
+  ]
+});
+
+const formatMoney = (money) =>
+  money
+    ? {
+        centAmount: money.centAmount,
+        currencyCode: money.currencyCode,
+        fractionDigits: money.fractionDigits,
+        amount: money.centAmount / 10 ** money.fractionDigits
+      }
+    : null;
+
+const formatPrice = (price) =>
+  price
+    ? {
+        value: formatMoney(price.value),
+        discounted: price.discounted
+          ? {
+              value: formatMoney(price.discounted.value),
+              name: price.discounted.discount?.name
+            }
+          : null
+      }
+    : null;
+
+const formatAttributes = (attributesRaw = []) =>
+  attributesRaw.reduce((result, { name, value }) => {
+    result[name] = value;
+    return result;
+  }, {});
+
+const formatVariant = (variant) => ({
+  variantId: variant.variantId,
+  sku: variant.sku,
+  price: formatPrice(variant.scopedPrice),
+  images: (variant.images || []).map(({ url }) => url),
+  attributes: formatAttributes(variant.attributesRaw)
+});
+
+export const formatProduct = (product, { country, locale }) => {
+  const master = formatVariant(product.masterVariant);
+  return {
+    id: product.productId,
+    name: product.name,
+    slug: product.slug,
+    ...(product.description !== undefined ? { description: product.description } : {}),
+    sku: master.sku,
+    url: `/${country}/${locale}/product/${product.slug}/${master.sku}`,
+    price: master.price,
+    images: master.images,
+    attributes: master.attributes,
+    ...(product.variants
+      ? {
+          variants: [master].concat(
+            product.variants.map(formatVariant)
+          )
+        }
+      : {})
+  };
+};
+
+// Attribute values as shown on the product detail page, enums by their label
+const attributeText = (value, locale) =>
+  Array.isArray(value)
+    ? value.map((item) => getAttributeValue(item, locale)).join(', ')
+    : getAttributeValue(value, locale);
+
+const effectivePrice = (price) => price?.discounted?.value || price?.value || null;
+
+const formatAvailability = (availability) =>
+  availability?.noChannel
+    ? {
+        isOnStock: availability.noChannel.isOnStock,
+        availableQuantity: availability.noChannel.availableQuantity
+      }
+    : null;
+
+// Side by side view of the variants with the given SKUs: a row per
+// detailAttributes entry with a value, prices relative to the cheapest
+const formatComparison = (entries, { locale }) => {
+  const attributes = (config.detailAttributes || [])
+    .map(({ name, label }) => {
+      const values = entries.map(({ variant }) => {
+        const attribute = (variant.attributesRaw || []).find(
+          (candidate) => candidate.name === name
+        );
+        return attribute ? attributeText(attribute.value, locale) : null;
+      });
+      return {
+        name,
+        label: label?.[locale] || name,
+        values: Object.fromEntries(
+          entries.map(({ variant }, index) => [variant.sku, values[index]])
+        ),
+        differs: new Set(values).size > 1
+      };
+    })
+    .filter(({ values }) => Object.values(values).some((value) => value !== null));
+
+  const prices = entries.map(({ variant }) => effectivePrice(variant.scopedPrice));
+  const lowest = Math.min(...prices.filter(Boolean).map(({ centAmount }) => centAmount));
+  return {
+    products: entries.map(({ product, variant }, index) => ({
+      sku: variant.sku,
+      productId: product.productId,
+      name: product.name,
+      price: formatPrice(variant.scopedPrice),
+      discount: variant.scopedPrice?.discounted
+        ? formatMoney({
+            ...variant.scopedPrice.value,
+            centAmount:
+              variant.scopedPrice.value.centAmount -
+              variant.scopedPrice.discounted.value.centAmount
+          })
+        : null,
+      differenceToLowest: prices[index]
+        ? formatMoney({ ...prices[index], centAmount: prices[index].centAmount - lowest })
+        : null,
+      availability: formatAvailability(variant.availability)
+    })),
+    attributes
+  };
+};
+
+// Alternatives find_variant suggests when the wanted variant is missing or out of stock
+const VARIANT_ALTERNATIVES = 3;
+
+const variantsOf = (product) =>
+  [product.masterVariant].concat(product.variants || []);
+
+// Attributes of config.variantSelector, by name
+const selectorAttributes = (variant, locale) =>
+  (variant.attributesRaw || [])
+    .filter(({ name }) => config.variantSelector.includes(name))
+    .reduce((result, { name, value }) => {
+      result[name] = { text: attributeText(value, locale), key: value?.key };
+      return result;
+    }, {});
+
+// Wanted values match the label in the locale or the enum key, ignoring case
+const attributeMatches = (attribute, wanted) =>
+  Boolean(attribute) &&
+  [attribute.text, attribute.key]
+    .filter((candidate) => candidate !== undefined && candidate !== null)
+    .some((candidate) => String(candidate).toLowerCase() === String(wanted).toLowerCase());
+
+// Same scoring as VariantSelector.js: a wanted value that matches counts 100,
+// every attribute shared with the current variant (the one shown) counts 1
+const scoreVariants = (variants, wanted, current, locale) => {
+  const currentAttributes = selectorAttributes(current, locale);
+  return variants.map((variant) => {
+    const attributes = selectorAttributes(variant, locale);
+    const matches = Object.keys(wanted).filter((name) =>
+      attributeMatches(attributes[name], wanted[name])
+    );
+    const shared = Object.keys(attributes).filter(
+      (name) => attributes[name].text === currentAttributes[name]?.text
+    );
+    return {
+      variant,
+      attributes,
+      matches,
+      score: matches.length * 100 + shared.length,
+      exact: matches.length === Object.keys(wanted).length
+    };
+  });
+};
+
+// Selectable values per attribute, only attributes the variants differ in
+const variantOptions = (scored) =>
+  config.variantSelector.reduce((options, name) => {
+    const values = [
+      ...new Set(
+        scored
+          .map(({ attributes }) => attributes[name]?.text)
+          .filter((value) => value !== undefined)
+      )
+    ];
+    return values.length > 1 ? { ...options, [name]: values } : options;
+  }, {});
+
+const isAvailable = (variant) => variant.availability?.noChannel?.isOnStock !== false;
+
+const formatScoredVariant = ({ variant, attributes, matches }, wanted) => ({
+  sku: variant.sku,
+  attributes: Object.fromEntries(
+    Object.entries(attributes).map(([name, { text }]) => [name, text])
+  ),
+  matches,
+  differs: Object.keys(wanted).filter((name) => !matches.includes(name)),
+  price: formatPrice(variant.scopedPrice),
+  availability: formatAvailability(variant.availability)
+});
+
+const KILOMETERS_PER_MILE = 1.609344;
+// Largest page commercetools returns
+const CHANNEL_PAGE_SIZE = 500;
+
+// Channels as the store locator shows them, distances in miles like the
+// storefront and in kilometers
+const formatStore = (channel, center, locale) => {
+  const [lng, lat] = channel.geoLocation?.coordinates || [];
+  const hasLocation = lat !== undefined && lng !== undefined;
+  const miles = center && hasLocation ? haversineDistance(center, { lat, lng }) : null;
+  const openingTimes = (channel.custom?.customFieldsRaw || []).find(
+    ({ name }) => name === 'openingTimes'
+  )?.value;
+  return {
+    id: channel.id,
+    name: channel.name,
+    address: channel.address || null,
+    location: hasLocation ? { latitude: lat, longitude: lng } : null,
+    distance:
+      miles === null
+        ? null
+        : {
+            miles: Number(miles.toFixed(2)),
+            kilometers: Number((miles * KILOMETERS_PER_MILE).toFixed(2))
+          },
+    openingHours: openingTimes ? openingTimes[locale] || openingTimes.en || null : null
+  };
+};
+
+const formatCart = (cart) =>
+  cart
+    ? {
+        id: cart.cartId,
+        version: cart.version,
+        items: cart.lineItems.map((item) => ({
+          lineId: item.lineId,
+          name: item.name,
+          sku: item.variant?.sku,
+          quantity: item.quantity,
+          price: formatPrice(item.price),
+          totalPrice: formatMoney(item.totalPrice)
+        })),
+        itemCount: cart.lineItems.reduce(
+          (count, { quantity }) => count + quantity,
+          0
+        ),
+        totalPrice: formatMoney(cart.totalPrice),
+        taxedPrice: cart.taxedPrice
+          ? {
+              totalGross: formatMoney(cart.taxedPrice.totalGross),
+              totalNet: formatMoney(cart.taxedPrice.totalNet)
+            }
+          : null,
+        shippingInfo: cart.shippingInfo
+          ? {
+              shippingMethod: cart.shippingInfo.shippingMethod,
+              price: formatMoney(cart.shippingInfo.price)
+            }
+          : null,
+        discountCodes: cart.discountCodes.map(
+          ({ discountCode }) => discountCode
+        ),
+        shippingAddress: cart.shippingAddress,
+        billingAddress: cart.billingAddress
+      }
+    : null;
+
+const formatAddress = (address) =>
+  address
+    ? {
+        firstName: address.firstName,
+        lastName: address.lastName,
+        streetName: address.streetName,
+        additionalStreetInfo: address.additionalStreetInfo,
+        postalCode: address.postalCode,
+        city: address.city,
+        country: address.country,
+        phone: address.phone,
+        email: address.email
+      }
+    : null;
+
+const formatCustomer = (customer) =>
+  customer
+    ? {
+        id: customer.customerId,
+        customerNumber: customer.customerNumber,
+        email: customer.email,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        addresses: (customer.addresses || []).map((address) => ({
+          id: address.addressId,
+          ...formatAddress(address),
+          isDefaultShipping: address.addressId === customer.defaultShippingAddressId,
+          isDefaultBilling: address.addressId === customer.defaultBillingAddressId
+        }))
+      }
+    : null;
+
+const defaultAddressActions = (addressId, { defaultShipping, defaultBilling }) =>
+  [
+    defaultShipping && { setDefaultShippingAddress: { addressId } },
+    defaultBilling && { setDefaultBillingAddress: { addressId } }
+  ].filter(Boolean);
+
+const formatOrderItem = (item) => ({
+  lineId: item.lineId,
+  name: item.name,
+  sku: item.variant?.sku,
+  quantity: item.quantity,
+  price: formatPrice(item.price),
+  totalPrice: formatMoney(item.totalPrice)
+});
+
+const formatPayments = (paymentInfo) =>
+  (paymentInfo?.payments || []).map(
+    ({ paymentStatus }) => paymentStatus?.interfaceCode || null
+  );
+
+const formatOrderSummary = (order) => ({
+  id: order.orderId,
+  orderNumber: order.orderNumber,
+  createdAt: order.createdAt,
+  orderState: order.orderState,
+  shipmentState: order.shipmentState,
+  paymentState: order.paymentState,
+  payments: formatPayments(order.paymentInfo),
+  totalPrice: formatMoney(order.totalPrice)
+});
+
+// Returned quantities are taken off the line items, like the account pages do
+const formatOrder = (order) => {
+  const { lineItems, returnItems } = withReturnedItems(order);
+  return {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt,
+    orderState: order.orderState,
+    shipmentState: order.shipmentState,
+    paymentState: order.paymentState,
+    payments: formatPayments(order.paymentInfo),
+    items: lineItems.map(formatOrderItem),
+    returnedItems: returnItems.lineItems.map((item) => ({
+      ...formatOrderItem(item),
+      shipmentState: item.shipmentState,
+      paymentState: item.paymentState
+    })),
+    totalPrice: formatMoney(order.totalPrice),
+    taxedPrice: order.taxedPrice
+      ? {
+          totalGross: formatMoney(order.taxedPrice.totalGross),
+          totalNet: formatMoney(order.taxedPrice.totalNet)
+        }
+      : null,
+    shippingInfo: order.shippingInfo
+      ? {
+          shippingMethod: order.shippingInfo.shippingMethod,
+          price: formatMoney(order.shippingInfo.price)
+        }
+      : null,
+    discountCodes: order.discountCodes.map(({ discountCode }) => discountCode),
+    shippingAddress: formatAddress(order.shippingAddress),
+    billingAddress: formatAddress(order.billingAddress)
+  };
+};
+
+// Compiles sunrise://product/{sku} into a regular expression with a named group per parameter
+const compileUriTemplate = (uriTemplate) =>
+  new RegExp(
+    `^${uriTemplate
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{(\w+)\}/g, '(?<$1>[^/?#]+)')}$`
+  );
+
+// Markdown renderings of templated resources, served next to the JSON content
+const markdownMoney = (money) =>
+  money ? `${money.amount.toFixed(money.fractionDigits)} ${money.currencyCode}` : '-';
+
+export const markdownPrice = (price) =>
+  price
+    ? price.discounted
+      ? `${markdownMoney(price.discounted.value)} (was ${markdownMoney(price.value)})`
+      : markdownMoney(price.value)
+    : '-';
+
+const markdownAttributes = (attributes) =>
+  Object.entries(attributes).map(
+    ([name, value]) => `- ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`
+  );
+
+const productMarkdown = (product) =>
+  [
+    `# ${product.name}`,
+    '',
+    `- SKU: ${product.sku}`,
+    `- Price: ${markdownPrice(product.price)}`,
+    `- URL: ${product.url}`,
+    '',
+    '## Attributes',
+    ...markdownAttributes(product.attributes),
+    '',
+    '## Variants',
+    '| SKU | Price | Attributes |',
+    '| --- | --- | --- |',
+    ...(product.variants || []).map(
+      ({ sku, price, attributes }) =>
+        `| ${sku} | ${markdownPrice(price)} | ${Object.entries(attributes)
+          .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+          .join(', ')} |`
+    ),
+    ...product.images.map((url) => `\n![${product.name}](${url})`)
+  ].join('\n');
+
+const categoryMarkdown = (category) =>
+  [
+    `# ${category.name}`,
+    '',
+    `- Slug: ${category.slug}`,
+    `- URL: ${category.url}`,
+    `- Products: ${category.total}`,
+    '',
+    '## Products',
+    '| Name | SKU | Price |',
+    '| --- | --- | --- |',
+    ...category.products.map(
+      ({ name, sku, price, url }) => `| [${name}](${url}) | ${sku} | ${markdownPrice(price)} |`
+    )
+  ].join('\n');
+
+const orderMarkdown = (order) =>
+  [
+    `# Order ${order.orderNumber || order.id}`,
+    '',
+    `- Created: ${order.createdAt}`,
+    `- Order state: ${order.orderState || '-'}`,
+    `- Shipment state: ${order.shipmentState || '-'}`,
+    `- Payment state: ${order.paymentState || '-'}`,
+    `- Total: ${markdownMoney(order.totalPrice)}`,
+    '',
+    '## Items',
+    '| Name | SKU | Quantity | Total |',
+    '| --- | --- | --- | --- |',
+    ...order.items.map(
+      ({ name, sku, quantity, totalPrice }) =>
+        `| ${name} | ${sku} | ${quantity} | ${markdownMoney(totalPrice)} |`
+    ),
+    ...(order.returnedItems.length
+      ? [
+          '',
+          '## Returned items',
+          '| Name | SKU | Quantity | Shipment state | Payment state |',
+          '| --- | --- | --- | --- | --- |',
+          ...order.returnedItems.map(
+            ({ name, sku, quantity, shipmentState, paymentState }) =>
+              `| ${name} | ${sku} | ${quantity} | ${shipmentState} | ${paymentState} |`
+          )
+        ]
+      : []),
+    ...[
+      ['Shipping address', order.shippingAddress],
+      ['Billing address', order.billingAddress]
+    ]
+      .filter(([, address]) => address)
+      .flatMap(([title, address]) => [
+        '',
+        `## ${title}`,
+        [address.firstName, address.lastName].filter(Boolean).join(' '),
+        [address.streetName, address.additionalStreetInfo].filter(Boolean).join(', '),
+        [address.postalCode, address.city, address.country].filter(Boolean).join(' ')
+      ])
+  ].join('\n');
+
+// Page size of tools/list, resources/list, resources/templates/list and prompts/list
+export const LIST_PAGE_SIZE = 50;
+// productProjectionSearch does not page beyond this offset
+const PRODUCT_SEARCH_MAX_OFFSET = 10000;
+
+// Cursors are opaque to clients: base64url encoded JSON with the position
+// and whatever the next page has to match
+export const encodeCursor = (position) => encodeURL(JSON.stringify(position));
+
+export const decodeCursor = (cursor, expected = {}) => {
+  let position;
+  try {
+    position = JSON.parse(decode(cursor));
+  } catch (error) {
+    position = null;
+  }
+  const valid =
+    position &&
+    typeof position === 'object' &&
+    Number.isInteger(position.offset) &&
+    position.offset >= 0 &&
+    Object.entries(expected).every(([key, value]) => position[key] === value);
+  if (!valid) {
+    throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, 'Invalid cursor');
+  }
+  return position;
+};
+
+// Where completion/complete takes the suggestions for prompt and resource template arguments
+const COMPLETION_SOURCES = {
+  'ref/prompt': {
+    recommend_products: { category: 'categorySlugs' },
+    style_advice: { occasion: 'occasions' },
+    size_guide: { product_type: 'productTypes', size: 'sizes' }
+  },
+  'ref/resource': {
+    'sunrise://product/{sku}': { sku: 'skus' },
+    'sunrise://category/{slug}': { slug: 'categorySlugs' },
+    'sunrise://order/{id}': { id: 'orderIds' }
+  }
+};
+// Occasions are the values of this attribute
+const OCCASION_ATTRIBUTE = 'style';
+const COMPLETION_LIMIT = 100;
+// Categories and attribute values rarely change, completions reuse them for a while
+const COMPLETION_CACHE_TTL = 5 * 60 * 1000;
+
+// Facet path of an attribute, text attributes have plain values, enums a key
+const facetPath = (name) => {
+  const facet = (config.facetSearches || []).find((candidate) => candidate.name === name);
+  return facet?.type === 'text'
+    ? `variants.attributes.${name}`
+    : `variants.attributes.${name}.key`;
+};
+
+// Prefix matches first, then values containing the typed text
+const rankCompletions = (candidates, value = '') => {
+  const needle = value.toLowerCase();
+  const unique = Array.from(new Set(candidates.filter(Boolean).map(String)));
+  return unique
+    .filter((candidate) => candidate.toLowerCase().startsWith(needle))
+    .concat(
+      unique.filter((candidate) => {
+        const lower = candidate.toLowerCase();
+        return !lower.startsWith(needle) && lower.includes(needle);
+      })
+    );
+};
+
+// Reads budgets like "100", "50-150", "under 80" or "over 50" into a cent range
+export const parseBudget = (budget) => {
+  const amounts = String(budget || '')
+    .match(/\d+(?:[.,]\d+)?/g)
+    ?.map((amount) => Math.round(Number(amount.replace(',', '.')) * 100));
+  if (!amounts) {
+    return null;
+  }
+  if (amounts.length > 1) {
+    return { from: Math.min(...amounts), to: Math.max(...amounts) };
+  }
+  return /over|above|from|min|more|\+/i.test(budget)
+    ? { from: amounts[0], to: null }
+    : { from: 0, to: amounts[0] };
+};
+
+const budgetFilter = ({ from, to }) => ({
+  model: {
+    range: {
+      path: 'variants.scopedPrice.value.centAmount',
+      ranges: [
+        {
+          from: String(from),
+          to: String(to === null ? 1000000000000 : to)
+        }
+      ]
+    }
+  }
+});
+
+// detailAttributes from sunrise.config.js that describe sizes
+const sizeAttributes = () =>
+  (config.detailAttributes || []).filter(({ name }) => /size/i.test(name));
+
+const productResource = (product) => ({
+  uri: `sunrise://product/${product.sku}`,
+  mimeType: 'text/markdown',
+  text: productMarkdown(product)
+});
+
+const cartResource = (cart) => ({
+  uri: CART_RESOURCE_URI,
+  mimeType: 'application/json',
+  text: JSON.stringify(formatCart(cart), null, 2)
+});
+
+const dateFilter = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} is not a valid date: ${value}`);
+  }
+  return date.toISOString();
+};
+
+// Client whose queries and mutations are aborted with the signal of a cancelled call
+const withSignal = (client, signal) => {
+  const run = (operation) => (options) =>
+    signal.aborted
+      ? Promise.reject(new Error('The request was cancelled'))
+      : operation({
+          ...options,
+          context: {
+            ...options.context,
+            fetchOptions: { ...options.context?.fetchOptions, signal }
+          }
+        });
+  return {
+    cache: client.cache,
+    query: run((options) => client.query(options)),
+    mutate: run((options) => client.mutate(options))
+  };
+};
+
+export class MCPServer {
+  constructor({
+    client = typeof window !== 'undefined' ? apolloClient : null,
+    pageSize = LIST_PAGE_SIZE,
+    createSessionClient = (session) => createApolloClient(session.auth.fetchWithToken),
+    checkoutTtl = CHECKOUT_CONFIRMATION_TTL,
+    auditLog = new MCPAuditLog(),
+    policy = new MCPToolPolicy()
+  } = {}) {
+    // Apollo client for calls without a session: the storefront's client in the
+    // browser, so tools work on the shopper's cart. A server has no caller for them,
+    // they only read the catalog through one shared anonymous client and the
+    // CALLER_TOOLS are refused. Sessions get their own client.
+    this.client = client;
+    this.anonymousClient = null;
+    this.createSessionClient = createSessionClient;
+    this.pageSize = pageSize;
+    this.auditLog = auditLog;
+    this.policy = policy;
     this.tools = new Map();
     this.resources = new Map();
+    this.resourceTemplates = new Map();
+    this.completionCache = new Map();
     this.prompts = new Map();
+    this.disabledTools = new Set();
+    // Prepared checkouts waiting for confirm_order, by confirmation token
+    this.checkoutConfirmations = new Map();
+    this.checkoutTtl = checkoutTtl;
+    this.listeners = new Set();
     this.initialized = false;
     
     this.init();
@@ -16,6 +1009,7 @@ class MCPServer {
   init() {
     this.registerTools();
     this.registerResources();
+    this.registerResourceTemplates();
     this.registerPrompts();
     this.initialized = true;
   }
@@ -37,10 +1031,18 @@ class MCPServer {
             description: 'Filter by category (optional)'
           },
           limit: {
-            type: 'number',
+            type: 'integer',
             description: 'Maximum number of results (default: 10)',
-            default: 10
-          }
+            default: 10,
+            minimum: 1,
+            maximum: 100
+          },
+          cursor: {
+            type: 'string',
+            description: 'nextCursor of the previous page, to get the next results of the same search'
+          },
+          locale: localeProperty,
+          country: countryProperty
         },
         required: ['query']
       }
@@ -55,13 +1057,125 @@ class MCPServer {
         properties: {
           productId: {
             type: 'string',
-            description: 'Product ID or SKU'
-          }
+            description: 'Product ID or SKU',
+            minLength: 1
+          },
+          locale: localeProperty,
+          country: countryProperty
         },
         required: ['productId']
       }
     });
 
+    this.tools.set('compare_products', {
+      name: 'compare_products',
+      description:
+        'Compare 2 to 5 products side by side: attributes, prices, discounts and availability',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          skus: {
+            type: 'array',
+            description: 'SKUs of the variants to compare',
+            items: { type: 'string', minLength: 1 },
+            minItems: 2,
+            maxItems: 5
+          },
+          locale: localeProperty,
+          country: countryProperty
+        },
+        required: ['skus']
+      }
+    });
+
+    this.tools.set('find_variant', {
+      name: 'find_variant',
+      description:
+        'Find the variant of a product with the wanted attributes (e.g. color and size), ' +
+        'whether it is in stock and the nearest available alternatives',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          productId: {
+            type: 'string',
+            description: 'Product ID or the SKU of any of its variants',
+            minLength: 1
+          },
+          attributes: {
+            type: 'object',
+            description: 'Wanted attribute values, labels or keys',
+            properties: config.variantSelector.reduce((properties, name) => {
+              properties[name] = { type: 'string', minLength: 1 };
+              return properties;
+            }, {}),
+            additionalProperties: false
+          },
+          locale: localeProperty,
+          country: countryProperty
+        },
+        required: ['productId', 'attributes']
+      }
+    });
+
+    // Store tools, stores are commercetools channels with a geo location
+    this.tools.set('find_stores', {
+      name: 'find_stores',
+      description:
+        'Find stores near a location (latitude and longitude) or in a country or city, ' +
+        'nearest first with distance, address and opening hours',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          latitude: { type: 'number', minimum: -90, maximum: 90 },
+          longitude: { type: 'number', minimum: -180, maximum: 180 },
+          country: {
+            type: 'string',
+            description: 'Country code of the store address, e.g. DE',
+            pattern: '^[A-Z]{2}$'
+          },
+          city: {
+            type: 'string',
+            description: 'City of the store address',
+            minLength: 1,
+            pattern: '^[^"\\\\]+$'
+          },
+          radius: {
+            type: 'number',
+            description: 'Search radius in miles around the location (default: 100)',
+            default: 100,
+            exclusiveMinimum: 0,
+            maximum: 3000
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of stores (default: 5)',
+            default: 5,
+            minimum: 1,
+            maximum: 20
+          },
+          locale: localeProperty
+        }
+      }
+    });
+
+    this.tools.set('select_store', {
+      name: 'select_store',
+      description:
+        'Shop at a store: cart items are sold from this store (distribution channel). ' +
+        'Leave out channelId to shop without a store',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          channelId: {
+            type: 'string',
+            description: 'Store id from find_stores',
+            pattern: '^[\\w-]+$'
+          },
+          locale: localeProperty
+        }
+      }
+    });
+
     // Get categories tool
     this.tools.set('get_categories', {
       name: 'get_categories',
@@ -70,10 +1184,12 @@ class MCPServer {
         type: 'object',
         properties: {
           level: {
-            type: 'number',
-            description: 'Category level depth (optional)',
-            default: 1
-          }
+            type: 'integer',
+            description: 'Category level depth, 1 returns top level categories only (optional)',
+            default: 1,
+            minimum: 1
+          },
+          locale: localeProperty
         }
       }
     });
@@ -84,7 +1200,9 @@ class MCPServer {
       description: 'Get current shopping cart contents',
       inputSchema: {
         type: 'object',
-        properties: {}
+        properties: {
+          locale: localeProperty
+        }
       }
     });
 
@@ -97,102 +1215,440 @@ class MCPServer {
         properties: {
           productId: {
             type: 'string',
-            description: 'Product ID or SKU'
+            description: 'Product ID or SKU',
+            minLength: 1
           },
           quantity: {
-            type: 'number',
+            type: 'integer',
             description: 'Quantity to add',
-            default: 1
+            default: 1,
+            minimum: 1
           },
           variantId: {
             type: 'string',
-            description: 'Product variant ID (optional)'
-          }
+            description: 'Product variant ID or SKU (optional, defaults to the master variant)'
+          },
+          locale: localeProperty,
+          country: countryProperty
         },
         required: ['productId']
       }
     });
 
-    // Get user information tool
-    this.tools.set('get_user_info', {
-      name: 'get_user_info',
-      description: 'Get current user information and preferences',
+    // Update cart line item quantity tool
+    this.tools.set('update_cart_item', {
+      name: 'update_cart_item',
+      description: 'Change the quantity of a cart line item, a quantity of 0 removes it',
       inputSchema: {
         type: 'object',
-        properties: {}
+        properties: {
+          lineItemId: {
+            type: 'string',
+            description: 'Cart line item ID (as returned by get_cart)'
+          },
+          sku: {
+            type: 'string',
+            description: 'SKU of the line item, alternative to lineItemId'
+          },
+          quantity: {
+            type: 'integer',
+            description: 'New quantity',
+            minimum: 0
+          },
+          locale: localeProperty
+        },
+        required: ['quantity']
       }
     });
 
-    // Site navigation tool
-    this.tools.set('get_navigation', {
-      name: 'get_navigation',
-      description: 'Get site navigation structure and available pages',
+    // Remove cart line item tool
+    this.tools.set('remove_cart_item', {
+      name: 'remove_cart_item',
+      description: 'Remove a line item from the shopping cart',
       inputSchema: {
         type: 'object',
-        properties: {}
+        properties: {
+          lineItemId: {
+            type: 'string',
+            description: 'Cart line item ID (as returned by get_cart)'
+          },
+          sku: {
+            type: 'string',
+            description: 'SKU of the line item, alternative to lineItemId'
+          },
+          locale: localeProperty
+        }
       }
     });
-  }
 
-  registerResources() {
-    // Site configuration resource
-    this.resources.set('site_config', {
-      uri: 'sunrise://config/site',
-      name: 'Site Configuration',
-      description: 'Sunrise Fashion site configuration and settings',
-      mimeType: 'application/json'
+    // Apply discount code tool
+    this.tools.set('apply_discount_code', {
+      name: 'apply_discount_code',
+      description: 'Apply a discount code to the shopping cart',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            description: 'Discount code',
+            minLength: 1
+          },
+          locale: localeProperty
+        },
+        required: ['code']
+      }
     });
 
-    // Product catalog resource
-    this.resources.set('product_catalog', {
-      uri: 'sunrise://catalog/products',
-      name: 'Product Catalog',
-      description: 'Complete product catalog with categories and details',
-      mimeType: 'application/json'
+    // Remove discount code tool
+    this.tools.set('remove_discount_code', {
+      name: 'remove_discount_code',
+      description: 'Remove a discount code from the shopping cart',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            description: 'Discount code as applied to the cart',
+            minLength: 1
+          },
+          locale: localeProperty
+        },
+        required: ['code']
+      }
     });
 
-    // User session resource
-    this.resources.set('user_session', {
-      uri: 'sunrise://session/user',
-      name: 'User Session',
-      description: 'Current user session and authentication state',
-      mimeType: 'application/json'
+    // Checkout step 1: set addresses and shipping, returns a summary to confirm
+    this.tools.set('prepare_checkout', {
+      name: 'prepare_checkout',
+      description:
+        'Set the billing address, shipping address and shipping method of the cart. ' +
+        'Returns an order summary and a confirmation token, show the summary to the user ' +
+        'and only call confirm_order after the user explicitly approved it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          billingAddress: addressProperty('Billing address'),
+          shippingAddress: addressProperty(
+            'Shipping address (optional, defaults to the billing address)'
+          ),
+          shippingMethodId: {
+            type: 'string',
+            description: 'Shipping method ID (optional, defaults to the default shipping method)'
+          },
+          paymentMethod: {
+            type: 'string',
+            description: 'Payment method (default: card)',
+            enum: PAYMENT_METHODS,
+            default: 'card'
+          },
+          locale: localeProperty
+        },
+        required: ['billingAddress']
+      }
     });
 
-    // Shopping cart resource
-    this.resources.set('shopping_cart', {
-      uri: 'sunrise://cart/current',
-      name: 'Shopping Cart',
-      description: 'Current shopping cart contents and totals',
-      mimeType: 'application/json'
+    // Checkout step 2: place the order, only with a token from prepare_checkout
+    this.tools.set('confirm_order', {
+      name: 'confirm_order',
+      description:
+        'Place the order prepared by prepare_checkout. Only call this after the user ' +
+        'approved the order summary, the token is invalid once the cart changes',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          confirmationToken: {
+            type: 'string',
+            description: 'Confirmation token returned by prepare_checkout',
+            minLength: 1
+          },
+          locale: localeProperty
+        },
+        required: ['confirmationToken']
+      }
     });
 
-    // Site analytics resource
-    this.resources.set('site_analytics', {
-      uri: 'sunrise://analytics/summary',
-      name: 'Site Analytics',
-      description: 'Site performance and user behavior analytics',
-      mimeType: 'application/json'
+    // Order history tool
+    this.tools.set('list_orders', {
+      name: 'list_orders',
+      description: 'List the orders of the current customer, newest first',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of orders (default: 10)',
+            default: 10,
+            minimum: 1,
+            maximum: 100
+          },
+          offset: {
+            type: 'integer',
+            description: 'Number of orders to skip (default: 0)',
+            default: 0,
+            minimum: 0
+          },
+          state: {
+            type: 'string',
+            description: 'Only orders in this order state (optional)',
+            enum: ORDER_STATES
+          },
+          shipmentState: {
+            type: 'string',
+            description: 'Only orders in this shipment state (optional)',
+            enum: SHIPMENT_STATES
+          },
+          createdFrom: {
+            type: 'string',
+            description: 'Only orders created at or after this ISO 8601 date (optional)'
+          },
+          createdTo: {
+            type: 'string',
+            description: 'Only orders created before this ISO 8601 date (optional)'
+          }
+        }
+      }
     });
-  }
 
-  registerPrompts() {
-    // Product recommendation prompt
-    this.prompts.set('recommend_products', {
-      name: 'recommend_products',
-      description: 'Generate personalized product recommendations',
-      arguments: [
-        {
-          name: 'user_preferences',
-          description: 'User preferences and browsing history',
-          required: false
-        },
-        {
-          name: 'category',
-          description: 'Specific category to focus on',
-          required: false
+    // Order detail tool
+    this.tools.set('get_order', {
+      name: 'get_order',
+      description: 'Get an order of the current customer with line items, totals, addresses, shipment and return state',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          orderId: {
+            type: 'string',
+            description: 'Order ID (as returned by list_orders)',
+            minLength: 1
+          },
+          locale: localeProperty
         },
-        {
+        required: ['orderId']
+      }
+    });
+
+    // Customer sign in tool
+    this.tools.set('sign_in', {
+      name: 'sign_in',
+      description:
+        'Sign a customer in for this session, the current cart is merged into the customer cart',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          email: emailProperty,
+          password: {
+            type: 'string',
+            description: 'Password',
+            minLength: 1
+          },
+          locale: localeProperty
+        },
+        required: ['email', 'password']
+      }
+    });
+
+    // Customer sign out tool
+    this.tools.set('sign_out', {
+      name: 'sign_out',
+      description: 'Sign the customer out, the session continues as a guest with a new cart',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      }
+    });
+
+    // Get user information tool
+    this.tools.set('get_user_info', {
+      name: 'get_user_info',
+      description: 'Get the signed in customer profile and address book, or the guest state',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      }
+    });
+
+    // Update profile tool
+    this.tools.set('update_profile', {
+      name: 'update_profile',
+      description: 'Change the name or email of the signed in customer',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          firstName: { type: 'string', description: 'First name', minLength: 1 },
+          lastName: { type: 'string', description: 'Last name', minLength: 1 },
+          email: emailProperty
+        }
+      }
+    });
+
+    // Address book tools
+    this.tools.set('add_address', {
+      name: 'add_address',
+      description: 'Add an address to the address book of the signed in customer',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          address: customerAddressProperty,
+          ...defaultAddressProperties
+        },
+        required: ['address']
+      }
+    });
+
+    this.tools.set('update_address', {
+      name: 'update_address',
+      description: 'Replace an address in the address book of the signed in customer',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          addressId: {
+            type: 'string',
+            description: 'Address ID (as returned by get_user_info)',
+            minLength: 1
+          },
+          address: customerAddressProperty,
+          ...defaultAddressProperties
+        },
+        required: ['addressId']
+      }
+    });
+
+    this.tools.set('remove_address', {
+      name: 'remove_address',
+      description: 'Remove an address from the address book of the signed in customer',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          addressId: {
+            type: 'string',
+            description: 'Address ID (as returned by get_user_info)',
+            minLength: 1
+          }
+        },
+        required: ['addressId']
+      }
+    });
+
+    // Site navigation tool
+    this.tools.set('get_navigation', {
+      name: 'get_navigation',
+      description: 'Get site navigation structure and available pages',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      }
+    });
+  }
+
+  registerResources() {
+    // Site configuration resource
+    this.resources.set('site_config', {
+      uri: 'sunrise://config/site',
+      name: 'Site Configuration',
+      description: 'Sunrise Fashion site configuration and settings',
+      mimeType: 'application/json'
+    });
+
+    // Product catalog resource
+    this.resources.set('product_catalog', {
+      uri: 'sunrise://catalog/products',
+      name: 'Product Catalog',
+      description: 'Complete product catalog with categories and details',
+      mimeType: 'application/json'
+    });
+
+    // User session resource
+    this.resources.set('user_session', {
+      uri: 'sunrise://session/user',
+      name: 'User Session',
+      description: 'Current user session and authentication state',
+      mimeType: 'application/json'
+    });
+
+    // Shopping cart resource
+    this.resources.set('shopping_cart', {
+      uri: 'sunrise://cart/current',
+      name: 'Shopping Cart',
+      description: 'Current shopping cart contents and totals',
+      mimeType: 'application/json'
+    });
+
+    // Site analytics resource
+    this.resources.set('site_analytics', {
+      uri: 'sunrise://analytics/summary',
+      name: 'Site Analytics',
+      description: 'Site performance and user behavior analytics',
+      mimeType: 'application/json'
+    });
+  }
+
+  // Templated resources are read as JSON plus a text/markdown rendering
+  registerResourceTemplates() {
+    // Product by SKU
+    this.resourceTemplates.set('product', {
+      uriTemplate: 'sunrise://product/{sku}',
+      name: 'Product',
+      description: 'A product with prices, attributes and variants, looked up by SKU',
+      mimeType: 'application/json'
+    });
+
+    // Category by slug
+    this.resourceTemplates.set('category', {
+      uriTemplate: 'sunrise://category/{slug}',
+      name: 'Category',
+      description: 'A product category and its first products, looked up by slug',
+      mimeType: 'application/json'
+    });
+
+    // Orders of the current customer
+    this.resourceTemplates.set('order', {
+      uriTemplate: 'sunrise://order/{id}',
+      name: 'Order',
+      description: 'An order of the current customer with line items, totals, addresses, shipment and return state',
+      mimeType: 'application/json'
+    });
+
+    this.resourceTemplateMatchers = Array.from(
+      this.resourceTemplates.entries(),
+      ([key, { uriTemplate }]) => ({ key, pattern: compileUriTemplate(uriTemplate) })
+    );
+  }
+
+  matchResourceTemplate(uri) {
+    for (const { key, pattern } of this.resourceTemplateMatchers) {
+      const match = uri.match(pattern);
+      if (match) {
+        return {
+          key,
+          params: Object.fromEntries(
+            Object.entries(match.groups).map(([name, value]) => [
+              name,
+              decodeURIComponent(value)
+            ])
+          )
+        };
+      }
+    }
+    return null;
+  }
+
+  registerPrompts() {
+    // Product recommendation prompt
+    this.prompts.set('recommend_products', {
+      name: 'recommend_products',
+      description: 'Generate personalized product recommendations',
+      arguments: [
+        {
+          name: 'user_preferences',
+          description: 'User preferences and browsing history',
+          required: false
+        },
+        {
+          name: 'category',
+          description: 'Specific category to focus on',
+          required: false
+        },
+        {
           name: 'budget',
           description: 'Budget range for recommendations',
           required: false
@@ -230,13 +1686,18 @@ class MCPServer {
       arguments: [
         {
           name: 'product_type',
-          description: 'Type of product (clothing, shoes, etc.)',
+          description: 'Product type of the catalog, or a type of product (shirts, shoes, etc.)',
           required: true
         },
         {
           name: 'measurements',
           description: 'User measurements',
           required: false
+        },
+        {
+          name: 'size',
+          description: 'Size the customer usually wears',
+          required: false
         }
       ]
     });
@@ -260,298 +1721,1541 @@ class MCPServer {
     });
   }
 
+  // Notifications
+  addNotificationListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setLogLevel(level, session) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new MCPError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Invalid log level ${level}, use one of ${LOG_LEVELS.join(', ')}`
+      );
+    }
+    session.logLevel = level;
+    return {};
+  }
+
+  // notifications/message for the session, if it asked for messages of this level
+  log(level, data, session) {
+    if (!session || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(session.logLevel)) {
+      return;
+    }
+    this.notify('notifications/message', { level, logger: 'sunrise-fashion-mcp', data }, session);
+  }
+
+  // notifications/progress for calls that sent a progressToken
+  reportProgress({ session, request }, progress, total, message) {
+    if (!session || request?.progressToken === undefined) {
+      return;
+    }
+    this.notify(
+      'notifications/progress',
+      { progressToken: request.progressToken, progress, total, message },
+      session
+    );
+  }
+
+  // origin is the session that caused the notification, if only it should get it
+  notify(method, params = {}, origin) {
+    const message = { jsonrpc: '2.0', method, params };
+    this.listeners.forEach((listener) => listener(message, origin));
+  }
+
+  setToolEnabled(name, enabled) {
+    if (!this.tools.has(name)) {
+      throw new Error(`Tool ${name} not found`);
+    }
+    if (enabled !== this.disabledTools.has(name)) {
+      return;
+    }
+    if (enabled) {
+      this.disabledTools.delete(name);
+    } else {
+      this.disabledTools.add(name);
+    }
+    this.notify('notifications/tools/list_changed');
+  }
+
   // MCP Protocol Methods
-  async initialize() {
+  // The clientInfo.name a client declares is not trusted, the client id of
+  // the tool policy is set by the transport that authenticated the client
+  async initialize({ protocolVersion } = {}) {
     return {
-      protocolVersion: '2024-11-05',
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+        ? protocolVersion
+        : SUPPORTED_PROTOCOL_VERSIONS[0],
       capabilities: {
-        tools: {},
-        resources: {},
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: false },
         prompts: {},
+        completions: {},
         logging: {}
       },
-      serverInfo: {
-        name: 'sunrise-fashion-mcp',
-        version: '1.0.0',
-        description: 'Sunrise Fashion MCP Server for AI agent integration'
-      }
-    };
+      serverInfo: {
+        name: 'sunrise-fashion-mcp',
+        version: '1.0.0',
+        description: 'Sunrise Fashion MCP Server for AI agent integration'
+      }
+    };
+  }
+
+  // One page of a list method, nextCursor is left out on the last page
+  paginate(items, cursor, list) {
+    const { offset } = cursor ? decodeCursor(cursor, { list }) : { offset: 0 };
+    const end = offset + this.pageSize;
+    return {
+      page: items.slice(offset, end),
+      ...(end < items.length ? { nextCursor: encodeCursor({ list, offset: end }) } : {})
+    };
+  }
+
+  // Policy client id of the caller. Calls without a session are the
+  // storefront's when it has a client, otherwise anonymous.
+  clientIdOf(session) {
+    if (session) {
+      return session.clientId;
+    }
+    return this.client ? STOREFRONT_CLIENT_ID : null;
+  }
+
+  // Lists the tools the client of the session may call
+  async listTools({ cursor } = {}, session) {
+    const clientId = this.clientIdOf(session);
+    const { page, nextCursor } = this.paginate(
+      Array.from(this.tools.values()).filter(
+        ({ name }) =>
+          !this.disabledTools.has(name) && this.policy.isAllowed(name, clientId)
+      ),
+      cursor,
+      'tools'
+    );
+    return {
+      tools: page.map((tool) => ({
+        ...tool,
+        annotations: { readOnlyHint: this.policy.classify(tool.name) === READ_ONLY }
+      })),
+      ...(nextCursor ? { nextCursor } : {})
+    };
+  }
+
+  // Throws when the client may not call the tool or is over a rate limit
+  enforcePolicy(name, session) {
+    const clientId = this.clientIdOf(session);
+    if (!this.policy.isAllowed(name, clientId)) {
+      throw new MCPError(
+        JSONRPC_ERRORS.TOOL_NOT_ALLOWED,
+        `Tool ${name} is not allowed for client ${clientId || '(unknown)'}`,
+        { tool: name, toolClass: this.policy.classify(name) }
+      );
+    }
+    const exceeded = this.policy.consume(name, session);
+    if (exceeded) {
+      const { scope, max, windowMs, retryAfter } = exceeded;
+      throw new MCPError(
+        JSONRPC_ERRORS.RATE_LIMITED,
+        `Rate limit of ${max} calls per ${windowMs / 1000}s exceeded for ${scope}, retry after ${retryAfter}s`,
+        { tool: name, scope, retryAfter }
+      );
+    }
+  }
+
+  // Records the call with its outcome, duration and the cart version it left.
+  // Mistakes of the caller are logged as warnings, other failures as errors.
+  async audited({ method, name, arguments: arguments_ }, session, request, run) {
+    const startedAt = Date.now();
+    let level = 'debug';
+    const entry = {
+      timestamp: new Date(startedAt).toISOString(),
+      sessionId: session ? session.id : null,
+      method,
+      name,
+      ...(arguments_ ? { arguments: redactArguments(arguments_) } : {})
+    };
+    try {
+      const result = await run();
+      Object.assign(
+        entry,
+        result && result.isError
+          ? { outcome: 'error', error: result.content[0].text }
+          : { outcome: 'success' }
+      );
+      if (result && result.isError) {
+        level = result[INVALID_ARGUMENTS] ? 'warning' : 'error';
+      }
+      return result;
+    } catch (error) {
+      Object.assign(entry, { outcome: 'error', error: error.message });
+      level = error instanceof MCPError ? 'warning' : 'error';
+      throw error;
+    } finally {
+      if (request?.signal?.aborted) {
+        Object.assign(entry, { outcome: 'cancelled' });
+      }
+      const durationMs = Date.now() - startedAt;
+      this.auditLog.record({
+        ...entry,
+        durationMs,
+        cartVersion: session ? session.cartVersion : null
+      });
+      this.log(
+        entry.outcome === 'cancelled' ? 'debug' : level,
+        {
+          method,
+          name,
+          outcome: entry.outcome,
+          durationMs,
+          ...(entry.error ? { error: entry.error } : {})
+        },
+        session
+      );
+    }
+  }
+
+  // request carries the abort signal and the progressToken of the call, if any
+  async callTool(name, arguments_ = {}, session, request = {}) {
+    return this.audited(
+      { method: 'tools/call', name, arguments: arguments_ },
+      session,
+      request,
+      () => this.executeTool(name, arguments_, session, request)
+    );
+  }
+
+  async executeTool(name, arguments_, session, request) {
+    const tool = this.tools.get(name);
+    if (!tool || this.disabledTools.has(name)) {
+      throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Tool ${name} not found`);
+    }
+    this.enforcePolicy(name, session);
+
+    // Invalid arguments are a tool error the model can correct, not a protocol error
+    const violations = validateSchema(tool.inputSchema, arguments_);
+    if (violations.length) {
+      return Object.defineProperty(
+        {
+          ...jsonContent({
+            error: `Invalid arguments for tool ${name}`,
+            violations
+          }),
+          isError: true
+        },
+        INVALID_ARGUMENTS,
+        { value: true }
+      );
+    }
+
+    try {
+      if (!session && !this.client && CALLER_TOOLS.has(name)) {
+        throw new Error(`${name} needs a session, use a streaming or stdio transport`);
+      }
+      switch (name) {
+        case 'search_products':
+          return await this.searchProducts(arguments_, session, request);
+        case 'get_product':
+          return await this.getProduct(arguments_, session, request);
+        case 'compare_products':
+          return await this.compareProducts(arguments_, session, request);
+        case 'find_variant':
+          return await this.findVariant(arguments_, session, request);
+        case 'find_stores':
+          return await this.findStores(arguments_, session, request);
+        case 'select_store':
+          return await this.selectStore(arguments_, session, request);
+        case 'get_categories':
+          return await this.getCategories(arguments_, session, request);
+        case 'get_cart':
+          return await this.getCart(arguments_, session, request);
+        case 'add_to_cart':
+          return await this.addToCart(arguments_, session, request);
+        case 'update_cart_item':
+          return await this.updateCartItem(arguments_, session, request);
+        case 'remove_cart_item':
+          return await this.removeCartItem(arguments_, session, request);
+        case 'apply_discount_code':
+          return await this.applyDiscountCode(arguments_, session, request);
+        case 'remove_discount_code':
+          return await this.removeDiscountCode(arguments_, session, request);
+        case 'prepare_checkout':
+          return await this.prepareCheckout(arguments_, session, request);
+        case 'confirm_order':
+          return await this.confirmOrder(arguments_, session, request);
+        case 'list_orders':
+          return await this.listOrders(arguments_, session, request);
+        case 'get_order':
+          return await this.getOrder(arguments_, session, request);
+        case 'sign_in':
+          return await this.signIn(arguments_, session, request);
+        case 'sign_out':
+          return await this.signOut(arguments_, session, request);
+        case 'get_user_info':
+          return await this.getUserInfo(arguments_, session, request);
+        case 'update_profile':
+          return await this.updateProfile(arguments_, session, request);
+        case 'add_address':
+          return await this.addAddress(arguments_, session, request);
+        case 'update_address':
+          return await this.updateAddress(arguments_, session, request);
+        case 'remove_address':
+          return await this.removeAddress(arguments_, session, request);
+        case 'get_navigation':
+          return await this.getNavigation(arguments_, session, request);
+        default:
+          throw new Error(`Tool ${name} not implemented`);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing tool ${name}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async listResources({ cursor } = {}) {
+    const { page, nextCursor } = this.paginate(
+      Array.from(this.resources.values()),
+      cursor,
+      'resources'
+    );
+    return { resources: page, ...(nextCursor ? { nextCursor } : {}) };
+  }
+
+  async listResourceTemplates({ cursor } = {}) {
+    const { page, nextCursor } = this.paginate(
+      Array.from(this.resourceTemplates.values()),
+      cursor,
+      'resourceTemplates'
+    );
+    return { resourceTemplates: page, ...(nextCursor ? { nextCursor } : {}) };
+  }
+
+  async readResource(uri, session, request = {}) {
+    return this.audited({ method: 'resources/read', name: uri }, session, request, () =>
+      this.readResourceContents(uri, session, request)
+    );
+  }
+
+  async readResourceContents(uri, session, request) {
+    const templateMatch = this.matchResourceTemplate(uri);
+    if (templateMatch) {
+      return this.readTemplatedResource(uri, templateMatch, session, request);
+    }
+
+    // Resources are registered by name, the switch below goes by their URI path
+    const resourceKey = uri.replace('sunrise://', '').replace(/\//g, '_');
+    const resource = Array.from(this.resources.values()).find(
+      (candidate) => candidate.uri === uri
+    );
+    
+    if (!resource) {
+      throw new MCPError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource ${uri} not found`, { uri });
+    }
+
+    try {
+      let content;
+      switch (resourceKey) {
+        case 'config_site':
+          content = await this.getSiteConfig();
+          break;
+        case 'catalog_products':
+          content = await this.getProductCatalog();
+          break;
+        case 'session_user':
+          content = await this.getUserSession(session, request);
+          break;
+        case 'cart_current':
+          content = await this.getCurrentCart(session, request);
+          break;
+        case 'analytics_summary':
+          content = await this.getAnalyticsSummary();
+          break;
+        default:
+          throw new Error(`Resource ${resourceKey} not implemented`);
+      }
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: resource.mimeType,
+            text: JSON.stringify(content, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      throw new Error(`Error reading resource ${uri}: ${error.message}`);
+    }
+  }
+
+  async readTemplatedResource(uri, { key, params }, session, request) {
+    let data;
+    let markdown;
+    try {
+      switch (key) {
+        case 'product':
+          data = await this.getProductResource(params.sku, session, request);
+          markdown = data && productMarkdown(data);
+          break;
+        case 'category':
+          data = await this.getCategoryResource(params.slug, session, request);
+          markdown = data && categoryMarkdown(data);
+          break;
+        case 'order':
+          data = await this.getOrderResource(params.id, session, request);
+          markdown = data && orderMarkdown(data);
+          break;
+        default:
+          throw new Error(`Resource template ${key} not implemented`);
+      }
+    } catch (error) {
+      throw new Error(`Error reading resource ${uri}: ${error.message}`);
+    }
+    if (!data) {
+      throw new MCPError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource ${uri} not found`, { uri });
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(data, null, 2)
+        },
+        {
+          uri,
+          mimeType: 'text/markdown',
+          text: markdown
+        }
+      ]
+    };
+  }
+
+  async complete({ ref, argument } = {}, session) {
+    if (!ref || typeof ref !== 'object' || !argument || typeof argument.name !== 'string') {
+      throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing or invalid parameter: ref or argument');
+    }
+    let sources;
+    if (ref.type === 'ref/prompt') {
+      if (!this.prompts.has(ref.name)) {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Prompt ${ref.name} not found`);
+      }
+      sources = COMPLETION_SOURCES[ref.type][ref.name];
+    } else if (ref.type === 'ref/resource') {
+      const known = Array.from(this.resourceTemplates.values()).some(
+        ({ uriTemplate }) => uriTemplate === ref.uri
+      );
+      if (!known) {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Resource template ${ref.uri} not found`);
+      }
+      sources = COMPLETION_SOURCES[ref.type][ref.uri];
+    } else {
+      throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unsupported reference type ${ref.type}`);
+    }
+
+    const source = sources?.[argument.name];
+    const value = typeof argument.value === 'string' ? argument.value : '';
+    const matches = source
+      ? rankCompletions(await this.completionCandidates(source, value, session), value)
+      : [];
+    return {
+      completion: {
+        values: matches.slice(0, COMPLETION_LIMIT),
+        total: matches.length,
+        hasMore: matches.length > COMPLETION_LIMIT
+      }
+    };
+  }
+
+  async completionCandidates(source, value, session) {
+    const context = this.resolveContext({}, session);
+    switch (source) {
+      case 'categorySlugs':
+        return (await this.completionCategories(context)).map(({ slug }) => slug);
+      case 'productTypes':
+        return (await this.completionProductTypes(context)).map(({ name }) => name);
+      case 'occasions':
+        return this.completionTerms([OCCASION_ATTRIBUTE], context);
+      case 'sizes':
+        return this.completionTerms(sizeAttributes().map(({ name }) => name), context);
+      case 'skus': {
+        // SKUs are not part of the full text index, match them by product name too
+        const { results } = await this.queryProducts(
+          { text: value, limit: 20, expand: { variants: true } },
+          context
+        );
+        return results.flatMap((product) =>
+          [product.masterVariant].concat(product.variants || []).map(({ sku }) => sku)
+        );
+      }
+      case 'orderIds': {
+        const { data } = await context.client.query({
+          query: myOrdersQuery,
+          variables: { limit: 20, offset: 0 },
+          fetchPolicy: 'network-only'
+        });
+        return data.MyOrders.orders.results.map(({ orderId }) => orderId);
+      }
+      default:
+        throw new Error(`Completion source ${source} not implemented`);
+    }
+  }
+
+  async cachedCompletion(key, load) {
+    const cached = this.completionCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.values;
+    }
+    const values = await load();
+    this.completionCache.set(key, { values, expiresAt: Date.now() + COMPLETION_CACHE_TTL });
+    return values;
+  }
+
+  completionCategories(context) {
+    return this.cachedCompletion(`categories:${context.locale}`, async () => {
+      const { data } = await context.client.query({
+        query: createCategoriesQuery(null),
+        variables: { locale: context.locale, sort: ['orderHint asc'], limit: 500 }
+      });
+      return data.categories.results;
+    });
+  }
+
+  completionProductTypes(context) {
+    return this.cachedCompletion('productTypes', async () => {
+      const { data } = await context.client.query({
+        query: productTypesQuery,
+        variables: { limit: 500 }
+      });
+      return data.productTypes.results;
+    });
+  }
+
+  // Attribute values over the whole catalog, most used first
+  completionTerms(names, context) {
+    return this.cachedCompletion(`terms:${context.locale}:${names.join(',')}`, async () => {
+      const { data } = await context.client.query({
+        query: facetsQuery,
+        variables: {
+          locale: context.locale,
+          facets: names.map((name) => ({
+            model: {
+              terms: { path: facetPath(name), alias: name, countProducts: true }
+            }
+          }))
+        }
+      });
+      return data.productProjectionSearch.facets
+        .flatMap(({ value }) => value?.terms || [])
+        .sort((a, b) => (b.productCount || 0) - (a.productCount || 0))
+        .map(({ term }) => term);
+    });
+  }
+
+  async listPrompts({ cursor } = {}) {
+    const { page, nextCursor } = this.paginate(
+      Array.from(this.prompts.values()),
+      cursor,
+      'prompts'
+    );
+    return { prompts: page, ...(nextCursor ? { nextCursor } : {}) };
+  }
+
+  async getPrompt(name, arguments_ = {}, session, request = {}) {
+    return this.audited(
+      { method: 'prompts/get', name, arguments: arguments_ },
+      session,
+      request,
+      () => this.renderPrompt(name, arguments_, session, request)
+    );
+  }
+
+  async renderPrompt(name, arguments_, session, request) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Prompt ${name} not found`);
+    }
+
+    const violations = validateSchema(
+      promptArgumentsSchema(prompt.arguments),
+      arguments_
+    );
+    if (violations.length) {
+      throw new MCPError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Invalid arguments for prompt ${name}: ${formatViolations(violations)}`,
+        { violations }
+      );
+    }
+
+    try {
+      // Generators return the instructions and the catalog data they are based on
+      let generated;
+      switch (name) {
+        case 'recommend_products':
+          generated = await this.generateProductRecommendationPrompt(arguments_, session, request);
+          break;
+        case 'style_advice':
+          generated = await this.generateStyleAdvicePrompt(arguments_, session, request);
+          break;
+        case 'size_guide':
+          generated = await this.generateSizeGuidePrompt(arguments_, session, request);
+          break;
+        case 'shopping_assistance':
+          generated = await this.generateShoppingAssistancePrompt(arguments_, session, request);
+          break;
+        default:
+          throw new Error(`Prompt ${name} not implemented`);
+      }
+
+      // The data goes first as embedded resources, then the instructions
+      return {
+        description: prompt.description,
+        messages: generated.resources
+          .map((resource) => ({
+            role: 'user',
+            content: { type: 'resource', resource }
+          }))
+          .concat({
+            role: 'user',
+            content: {
+              type: 'text',
+              text: generated.text
+            }
+          })
+      };
+    } catch (error) {
+      throw new Error(`Error generating prompt ${name}: ${error.message}`);
+    }
+  }
+
+  // commercetools Data Access
+  clientFor(session, request) {
+    if (session && !session.client) {
+      session.client = this.createSessionClient(session);
+    }
+    if (!session && !this.client && !this.anonymousClient) {
+      this.anonymousClient = this.createSessionClient(createSession(null));
+    }
+    const client = session ? session.client : this.client || this.anonymousClient;
+    return request?.signal ? withSignal(client, request.signal) : client;
+  }
+
+  // Everything a tool needs to query commercetools for the calling session
+  resolveContext({ locale, country } = {}, session, request) {
+    const resolvedLocale = locale || DEFAULT_LOCALE;
+    const resolvedCountry = country || DEFAULT_COUNTRY;
+    if (!config.languages[resolvedLocale]) {
+      throw new Error(`Unsupported locale ${resolvedLocale}`);
+    }
+    if (!config.countries[resolvedCountry]) {
+      throw new Error(`Unsupported country ${resolvedCountry}`);
+    }
+    return {
+      locale: resolvedLocale,
+      country: resolvedCountry,
+      currency: config.formats.number[resolvedCountry]?.currency?.currency,
+      session,
+      request,
+      client: this.clientFor(session, request)
+    };
+  }
+
+  async findCategory(slug, context) {
+    const where = createCategoriesWhere(slug, false, context.locale);
+    const { data } = await context.client.query({
+      query: createCategoriesQuery(where),
+      variables: { locale: context.locale, where }
+    });
+    return data.categories.results[0] || null;
+  }
+
+  async queryProducts(
+    {
+      text = '',
+      limit = 10,
+      offset = 0,
+      sku,
+      skus,
+      categoryId,
+      categorySlug,
+      filters = [],
+      expand = {}
+    },
+    context
+  ) {
+    const { data } = await context.client.query({
+      query: productsQuery(expand),
+      variables: {
+        text,
+        locale: context.locale,
+        limit,
+        offset,
+        priceSelector: createPriceSelector(context.currency, context.country),
+        filters: updateFilters(
+          [scopedPriceFilter].concat(filters),
+          sku,
+          categoryId,
+          categorySlug
+        ).concat(skus ? { model: { value: { path: 'variants.sku', values: skus } } } : [])
+      }
+    });
+    return data.productProjectionSearch;
+  }
+
+  async findProduct(productId, context, expand = { variants: true }) {
+    const bySku = await this.queryProducts(
+      { sku: productId, limit: 1, expand },
+      context
+    );
+    if (bySku.results.length) {
+      return bySku.results[0];
+    }
+    // Not a SKU, try it as a product ID
+    const byId = await this.queryProducts(
+      {
+        filters: [{ model: { value: { path: 'id', values: [productId] } } }],
+        limit: 1,
+        expand
+      },
+      context
+    );
+    return byId.results[0] || null;
+  }
+
+  async fetchCart(context) {
+    const { data } = await context.client.query({
+      query: cartQuery,
+      variables: { locale: context.locale },
+      fetchPolicy: 'network-only'
+    });
+    const cart = data.myCart.activeCart;
+    if (context.session) {
+      context.session.cartId = cart ? cart.cartId : null;
+      context.session.cartVersion = cart ? cart.version : null;
+    }
+    return cart;
+  }
+
+  async requireCart(context) {
+    const cart = await this.fetchCart(context);
+    if (!cart) {
+      throw new Error('The shopping cart is empty');
+    }
+    return cart;
+  }
+
+  async fetchOrder(id, context) {
+    const { data } = await context.client.query({
+      query: myOrderQuery,
+      variables: { id, locale: context.locale },
+      fetchPolicy: 'network-only'
+    });
+    return data.me.order;
+  }
+
+  findLineItem(cart, { lineItemId, sku }) {
+    if (!lineItemId && !sku) {
+      throw new Error('Either lineItemId or sku is required');
+    }
+    const lineItem = cart.lineItems.find((item) =>
+      lineItemId ? item.lineId === lineItemId : item.variant?.sku === sku
+    );
+    if (!lineItem) {
+      throw new Error(`Line item ${lineItemId || sku} is not in the cart`);
+    }
+    return lineItem;
+  }
+
+  // Same flow as mutateCart in composition/ct/useCartMutation.js: create a cart
+  // when there is none and delete it once the last line item is gone
+  async mutateCart(actions, context, cart) {
+    const { id, version } = cart
+      ? { id: cart.cartId, version: cart.version }
+      : await context.client
+          .mutate({
+            mutation: createCartMutation,
+            variables: {
+              draft: {
+                currency: context.currency,
+                country: context.country,
+                shippingAddress: {
+                  country: context.country
+                }
+              }
+            }
+          })
+          .then(({ data }) => ({
+            id: data.createMyCart.cartId,
+            version: data.createMyCart.version
+          }));
+    const { data } = await context.client.mutate({
+      mutation: updateCartMutation,
+      variables: { actions, version, id }
+    });
+    if (!data.updateMyCart.lineItems.length) {
+      await context.client.mutate({
+        mutation: deleteCartMutation,
+        variables: {
+          id: data.updateMyCart.id,
+          version: data.updateMyCart.version
+        }
+      });
+    }
+    // Storefront components read the active cart from the cache
+    context.client.cache.evict({ id: 'activeCart' });
+    context.client.cache.gc();
+    const updated = await this.fetchCart(context);
+    this.notify('notifications/resources/updated', { uri: CART_RESOURCE_URI }, context.session);
+    return updated;
+  }
+
+  // Tool Implementation Methods
+  async searchProducts({ query, category, limit = 10, cursor, locale, country }, session, request) {
+    const context = this.resolveContext({ locale, country }, session, request);
+    // A cursor continues the search it was created for, with the same page size
+    const position = cursor
+      ? decodeCursor(cursor, {
+          search: 'products',
+          query,
+          category: category || null,
+          locale: context.locale,
+          country: context.country
+        })
+      : { offset: 0, limit };
+    const steps = category ? 2 : 1;
+    let categoryId;
+    if (category) {
+      const found = await this.findCategory(category, context);
+      if (!found) {
+        throw new Error(`Category ${category} not found`);
+      }
+      categoryId = found.id;
+      this.reportProgress(context, 1, steps, `Found category ${category}`);
+    }
+    const { total, results } = await this.queryProducts(
+      {
+        text: query,
+        limit: position.limit,
+        offset: position.offset,
+        categoryId,
+        categorySlug: category
+      },
+      context
+    );
+    this.reportProgress(context, steps, steps, `Found ${total} products`);
+    const next = position.offset + results.length;
+
+    return jsonContent({
+      query,
+      category,
+      results: results.map((product) => formatProduct(product, context)),
+      total,
+      offset: position.offset,
+      ...(results.length && next < total && next < PRODUCT_SEARCH_MAX_OFFSET
+        ? {
+            nextCursor: encodeCursor({
+              search: 'products',
+              query,
+              category: category || null,
+              locale: context.locale,
+              country: context.country,
+              offset: next,
+              limit: position.limit
+            })
+          }
+        : {})
+    });
+  }
+
+  async getProduct({ productId, locale, country }, session, request) {
+    const context = this.resolveContext({ locale, country }, session, request);
+    const product = await this.findProduct(productId, context);
+    if (!product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+
+    return jsonContent(formatProduct(product, context));
+  }
+
+  async compareProducts({ skus, locale, country }, session, request) {
+    const context = this.resolveContext({ locale, country }, session, request);
+    const unique = Array.from(new Set(skus));
+    if (unique.length < 2) {
+      throw new Error('Give at least 2 different SKUs to compare');
+    }
+    const { results } = await this.queryProducts(
+      {
+        skus: unique,
+        limit: unique.length,
+        expand: { variants: true, availability: true }
+      },
+      context
+    );
+    const entries = unique
+      .map((sku) => {
+        const product = results.find((candidate) =>
+          variantsOf(candidate).some((variant) => variant.sku === sku)
+        );
+        return product && {
+          product,
+          variant: variantsOf(product).find((variant) => variant.sku === sku)
+        };
+      })
+      .filter(Boolean);
+    const missing = unique.filter(
+      (sku) => !entries.some(({ variant }) => variant.sku === sku)
+    );
+    if (entries.length < 2) {
+      throw new Error(`Not enough products to compare, not found: ${missing.join(', ')}`);
+    }
+
+    return jsonContent({
+      ...formatComparison(entries, context),
+      ...(missing.length ? { missing } : {})
+    });
+  }
+
+  async findVariant({ productId, attributes: wanted, locale, country }, session, request) {
+    const context = this.resolveContext({ locale, country }, session, request);
+    if (!Object.keys(wanted).length) {
+      throw new Error(`Give at least one of ${config.variantSelector.join(', ')}`);
+    }
+    const product = await this.findProduct(productId, context, {
+      variants: true,
+      availability: true
+    });
+    if (!product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+
+    // A SKU as productId is the variant the shopper is looking at
+    const variants = variantsOf(product);
+    const current = variants.find(({ sku }) => sku === productId) || product.masterVariant;
+    const scored = scoreVariants(variants, wanted, current, context.locale);
+    const match = scored.find(({ exact }) => exact);
+    // In stock variants closest to the wanted one, the storefront picks the highest score
+    const alternatives =
+      match && isAvailable(match.variant)
+        ? []
+        : scored
+            .filter((entry) => entry !== match && isAvailable(entry.variant))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, VARIANT_ALTERNATIVES);
+
+    return jsonContent({
+      productId: product.productId,
+      name: product.name,
+      requested: wanted,
+      found: Boolean(match),
+      available: Boolean(match) && isAvailable(match.variant),
+      variant: match ? formatScoredVariant(match, wanted) : null,
+      alternatives: alternatives.map((entry) => formatScoredVariant(entry, wanted)),
+      options: variantOptions(scored)
+    });
+  }
+
+  async findStores(
+    { latitude, longitude, country, city, radius = 100, limit = 5, locale },
+    session,
+    request
+  ) {
+    const context = this.resolveContext({ locale }, session, request);
+    const hasCenter = latitude !== undefined || longitude !== undefined;
+    if (hasCenter && (latitude === undefined || longitude === undefined)) {
+      throw new Error('Give both latitude and longitude');
+    }
+    if (!hasCenter && !country && !city) {
+      throw new Error('Give latitude and longitude, a country or a city');
+    }
+    const center = hasCenter ? { lat: latitude, lng: longitude } : null;
+    const address = [country && `country = "${country}"`, city && `city = "${city}"`]
+      .filter(Boolean)
+      .join(' and ');
+    const where = [center && circleWhere(center, radius), address && `address(${address})`]
+      .filter(Boolean)
+      .join(' and ');
+
+    const { channels, total } = await this.queryAllChannels(where, context);
+    const stores = channels
+      .map((channel) => ({
+        ...formatStore(channel, center, context.locale),
+        selected: session?.channel?.id === channel.id
+      }))
+      .sort((a, b) =>
+        center
+          ? (a.distance?.miles ?? Infinity) - (b.distance?.miles ?? Infinity)
+          : String(a.name).localeCompare(String(b.name))
+      );
+
+    return jsonContent({
+      stores: stores.slice(0, limit),
+      total
+    });
+  }
+
+  // commercetools cannot sort channels by distance, so every matching channel is loaded
+  async queryAllChannels(where, context) {
+    const channels = [];
+    let total = Infinity;
+    while (channels.length < total) {
+      const { data } = await context.client.query({
+        query: channelsQuery,
+        variables: { where, limit: CHANNEL_PAGE_SIZE, offset: channels.length }
+      });
+      total = data.channels.total;
+      channels.push(...data.channels.results);
+      if (!data.channels.results.length) {
+        break;
+      }
+    }
+    return { channels, total };
+  }
+
+  async selectStore({ channelId, locale }, session, request) {
+    if (!session) {
+      throw new Error('Selecting a store needs a session, use a streaming or stdio transport');
+    }
+    const context = this.resolveContext({ locale }, session, request);
+    let channel = null;
+    if (channelId) {
+      const { data } = await context.client.query({
+        query: channelsQuery,
+        variables: { where: `id = "${channelId}"` }
+      });
+      channel = data.channels.results[0];
+      if (!channel) {
+        throw new Error(`Store ${channelId} not found`);
+      }
+    }
+    // Like the store locator the store is kept for the session, items added
+    // later get it as distribution channel and the items in the cart move along
+    session.channel = channel ? { id: channel.id, name: channel.name } : null;
+    const cart = await this.fetchCart(context);
+    const updated =
+      cart && cart.lineItems.length
+        ? await this.mutateCart(
+            cart.lineItems.map(({ lineId }) =>
+              setLineItemDistributionChannel(lineId, channel?.id)
+            ),
+            context,
+            cart
+          )
+        : cart;
+
+    return jsonContent({
+      success: true,
+      message: channel ? `Shopping at ${channel.name}` : 'Shopping without a store',
+      store: channel ? formatStore(channel, null, context.locale) : null,
+      cart: formatCart(updated)
+    });
+  }
+
+  // Top level categories for level 1, all categories otherwise
+  async fetchCategories({ level = 1, limit } = {}, context) {
+    const where = createCategoriesWhere(null, level <= 1, context.locale);
+    const { data } = await context.client.query({
+      query: createCategoriesQuery(where),
+      variables: { locale: context.locale, where, sort: ['orderHint asc'], limit }
+    });
+    return data.categories;
+  }
+
+  async getCategories({ level = 1, locale } = {}, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const categories = await this.fetchCategories({ level }, context);
+
+    return jsonContent({
+      total: categories.total,
+      categories: categories.results.map(({ id, name, slug }) => ({
+        id,
+        name,
+        slug,
+        url: `/${DEFAULT_COUNTRY}/${context.locale}/products/${slug}`
+      }))
+    });
+  }
+
+  async getCart({ locale } = {}, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const cart = await this.fetchCart(context);
+
+    return jsonContent(
+      cart ? formatCart(cart) : { message: 'The shopping cart is empty', items: [], itemCount: 0 }
+    );
+  }
+
+  async addToCart({ productId, quantity = 1, variantId, locale, country }, session, request) {
+    const context = this.resolveContext({ locale, country }, session, request);
+    const product = await this.findProduct(productId, context);
+    if (!product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+    const variants = [product.masterVariant].concat(product.variants || []);
+    const variant = variantId
+      ? variants.find(
+          (v) => String(v.variantId) === String(variantId) || v.sku === variantId
+        )
+      : variants.find(({ sku }) => sku === productId) || product.masterVariant;
+    if (!variant) {
+      throw new Error(`Variant ${variantId} not found for product ${productId}`);
+    }
+    const cart = await this.mutateCart(
+      addLineItem(variant.sku, quantity, session?.channel?.id),
+      context,
+      await this.fetchCart(context)
+    );
+
+    return jsonContent({
+      success: true,
+      message: `Added ${quantity} item(s) to cart`,
+      productId: product.productId,
+      sku: variant.sku,
+      quantity,
+      cart: formatCart(cart)
+    });
+  }
+
+  async updateCartItem({ lineItemId, sku, quantity, locale }, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const cart = await this.requireCart(context);
+    const lineItem = this.findLineItem(cart, { lineItemId, sku });
+    const updated = await this.mutateCart(
+      quantity
+        ? changeCartLineItemQuantity(lineItem.lineId, quantity)
+        : removeLineItem(lineItem.lineId),
+      context,
+      cart
+    );
+
+    return jsonContent({
+      success: true,
+      message: quantity
+        ? `Changed quantity of ${lineItem.name} to ${quantity}`
+        : `Removed ${lineItem.name} from cart`,
+      cart: formatCart(updated)
+    });
+  }
+
+  async removeCartItem({ lineItemId, sku, locale }, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const cart = await this.requireCart(context);
+    const lineItem = this.findLineItem(cart, { lineItemId, sku });
+    const updated = await this.mutateCart(
+      removeLineItem(lineItem.lineId),
+      context,
+      cart
+    );
+
+    return jsonContent({
+      success: true,
+      message: `Removed ${lineItem.name} from cart`,
+      cart: formatCart(updated)
+    });
+  }
+
+  async applyDiscountCode({ code, locale }, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const cart = await this.requireCart(context);
+    const updated = await this.mutateCart(addDiscountCode(code), context, cart);
+
+    return jsonContent({
+      success: true,
+      message: `Applied discount code ${code}`,
+      cart: formatCart(updated)
+    });
+  }
+
+  async removeDiscountCode({ code, locale }, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const cart = await this.requireCart(context);
+    const applied = cart.discountCodes
+      .map(({ discountCode }) => discountCode)
+      .find((discountCode) => discountCode.code === code);
+    if (!applied) {
+      throw new Error(`Discount code ${code} is not applied to the cart`);
+    }
+    const updated = await this.mutateCart(
+      removeDiscountCode(applied.codeId),
+      context,
+      cart
+    );
+
+    return jsonContent({
+      success: true,
+      message: `Removed discount code ${code}`,
+      cart: formatCart(updated)
+    });
+  }
+
+  async prepareCheckout({
+    billingAddress,
+    shippingAddress,
+    shippingMethodId,
+    paymentMethod = 'card',
+    locale
+  }, session, request) {
+    if (!session) {
+      throw new Error('Checking out needs a session, use a streaming or stdio transport');
+    }
+    const context = this.resolveContext({ locale }, session, request);
+    const cart = await this.requireCart(context);
+    this.reportProgress(context, 1, 3, 'Loaded the cart');
+    const { data } = await context.client.query({
+      query: shippingMethodsQuery,
+      variables: { id: cart.cartId, locale: context.locale },
+      fetchPolicy: 'network-only'
+    });
+    const shippingMethods = data.shippingMethodsByCart || [];
+    const shippingMethod = shippingMethodId
+      ? shippingMethods.find(({ methodId }) => methodId === shippingMethodId)
+      : shippingMethods.find(({ isDefault }) => isDefault) || shippingMethods[0];
+    if (!shippingMethod) {
+      throw new Error(
+        shippingMethodId
+          ? `Shipping method ${shippingMethodId} is not available for this cart`
+          : 'No shipping method is available for this cart'
+      );
+    }
+    this.reportProgress(context, 2, 3, `Selected shipping method ${shippingMethod.name}`);
+    // Same actions as setAddressForCart in composition/useCartMutation.js
+    const country = cart.shippingAddress?.country || context.country;
+    const updated = await this.mutateCart(
+      [
+        setBillingAddress({ ...billingAddress, country }),
+        setShippingAddress({ ...(shippingAddress || billingAddress), country }),
+        ...setShippingMethod(shippingMethod.methodId)
+      ],
+      context,
+      cart
+    );
+    this.reportProgress(context, 3, 3, 'Set the addresses and the shipping method');
+    this.log('info', { message: 'Checkout prepared', cartId: updated.cartId, version: updated.version }, session);
+
+    // The token is bound to this cart version, any later change invalidates it.
+    // Only the latest prepared checkout of a session can be confirmed.
+    this.sweepCheckoutConfirmations(session);
+    const confirmationToken = createConfirmationToken();
+    const expiresAt = Date.now() + this.checkoutTtl;
+    this.checkoutConfirmations.set(confirmationToken, {
+      sessionId: session.id,
+      cartId: updated.cartId,
+      version: updated.version,
+      paymentMethod,
+      expiresAt
+    });
+
+    return jsonContent({
+      message:
+        'Show this summary to the user. Call confirm_order with the confirmation token ' +
+        'only after the user explicitly approved the order',
+      confirmationToken,
+      expiresAt: new Date(expiresAt).toISOString(),
+      paymentMethod,
+      shippingMethod: {
+        id: shippingMethod.methodId,
+        name: shippingMethod.name,
+        description: shippingMethod.localizedDescription
+      },
+      cart: formatCart(updated)
+    });
   }
 
-  async listTools() {
-    return {
-      tools: Array.from(this.tools.values())
-    };
+  // Drops expired confirmations and, given a session, the ones of that session
+  sweepCheckoutConfirmations(session) {
+    const now = Date.now();
+    this.checkoutConfirmations.forEach((confirmation, token) => {
+      if (confirmation.expiresAt <= now || confirmation.sessionId === session?.id) {
+        this.checkoutConfirmations.delete(token);
+      }
+    });
   }
 
-  async callTool(name, arguments_) {
-    const tool = this.tools.get(name);
-    if (!tool) {
-      throw new Error(`Tool ${name} not found`);
+  async confirmOrder({ confirmationToken, locale }, session, request) {
+    if (!session) {
+      throw new Error('Confirming an order needs a session, use a streaming or stdio transport');
     }
-
-    try {
-      switch (name) {
-        case 'search_products':
-          return await this.searchProducts(arguments_);
-        case 'get_product':
-          return await this.getProduct(arguments_);
-        case 'get_categories':
-          return await this.getCategories(arguments_);
-        case 'get_cart':
-          return await this.getCart(arguments_);
-        case 'add_to_cart':
-          return await this.addToCart(arguments_);
-        case 'get_user_info':
-          return await this.getUserInfo(arguments_);
-        case 'get_navigation':
-          return await this.getNavigation(arguments_);
-        default:
-          throw new Error(`Tool ${name} not implemented`);
-      }
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error executing tool ${name}: ${error.message}`
-          }
-        ],
-        isError: true
-      };
+    const context = this.resolveContext({ locale }, session, request);
+    const confirmation = this.checkoutConfirmations.get(confirmationToken);
+    if (!confirmation || confirmation.sessionId !== session.id) {
+      throw new Error('Unknown or already used confirmation token, call prepare_checkout first');
     }
+    // A token can only be tried once, whatever the outcome
+    this.checkoutConfirmations.delete(confirmationToken);
+    if (confirmation.expiresAt <= Date.now()) {
+      throw new Error('The confirmation token expired, call prepare_checkout again');
+    }
+    const cart = await this.fetchCart(context);
+    if (
+      !cart ||
+      cart.cartId !== confirmation.cartId ||
+      cart.version !== confirmation.version
+    ) {
+      throw new Error(
+        'The cart changed after the checkout was prepared, call prepare_checkout again ' +
+        'and let the user confirm the new summary'
+      );
+    }
+    this.reportProgress(context, 1, 4, 'Checked the cart');
+
+    // Same flow as createMyOrderFromCart in composition/useCartMutation.js.
+    // Once the payment exists the order is placed, even if the call is cancelled.
+    const client = this.clientFor(session);
+    const payment = await client.mutate({
+      mutation: paymentMutation,
+      variables: {
+        draft: paymentDraft({
+          currency: cart.totalPrice.currencyCode,
+          centAmount: cart.totalPrice.centAmount,
+          method: confirmation.paymentMethod
+        })
+      }
+    });
+    this.reportProgress(context, 2, 4, 'Created the payment');
+    const withPayment = await client.mutate({
+      mutation: updateCartMutation,
+      variables: {
+        actions: addPayment(payment.data.createMyPayment.paymentId),
+        version: cart.version,
+        id: cart.cartId
+      }
+    });
+    this.reportProgress(context, 3, 4, 'Added the payment to the cart');
+    const { data } = await client.mutate(
+      createMyOrderFromCart(
+        withPayment.data.updateMyCart.id,
+        withPayment.data.updateMyCart.version
+      )
+    );
+    this.reportProgress(context, 4, 4, 'Placed the order');
+    this.log('info', { message: 'Order placed', orderId: data.createMyOrderFromCart.cartId }, session);
+    client.cache.evict({ id: 'activeCart' });
+    client.cache.gc();
+    this.notify('notifications/resources/updated', { uri: CART_RESOURCE_URI }, session);
+
+    return jsonContent({
+      success: true,
+      message: 'The order was placed',
+      orderId: data.createMyOrderFromCart.cartId,
+      paymentMethod: confirmation.paymentMethod,
+      totalPrice: formatMoney(cart.totalPrice),
+      itemCount: formatCart(cart).itemCount
+    });
   }
 
-  async listResources() {
-    return {
-      resources: Array.from(this.resources.values())
-    };
+  async listOrders(
+    { limit = 10, offset = 0, state, shipmentState, createdFrom, createdTo },
+    session,
+    request
+  ) {
+    const context = this.resolveContext({}, session, request);
+    const where = [
+      state && `orderState = "${state}"`,
+      shipmentState && `shipmentState = "${shipmentState}"`,
+      createdFrom && `createdAt >= "${dateFilter(createdFrom, 'createdFrom')}"`,
+      createdTo && `createdAt < "${dateFilter(createdTo, 'createdTo')}"`
+    ].filter(Boolean);
+    const { data } = await context.client.query({
+      query: myOrdersQuery,
+      variables: {
+        limit,
+        offset,
+        where: where.length ? where.join(' and ') : null
+      },
+      fetchPolicy: 'network-only'
+    });
+    const { total, results } = data.MyOrders.orders;
+
+    return jsonContent({
+      total,
+      offset,
+      count: results.length,
+      orders: results.map((order) => ({
+        ...formatOrderSummary(order),
+        uri: `sunrise://order/${order.orderId}`
+      }))
+    });
   }
 
-  async readResource(uri) {
-    const resourceKey = uri.replace('sunrise://', '').replace(/\//g, '_');
-    const resource = this.resources.get(resourceKey);
-    
-    if (!resource) {
-      throw new Error(`Resource ${uri} not found`);
+  async getOrder({ orderId, locale }, session, request) {
+    const context = this.resolveContext({ locale }, session, request);
+    const order = await this.fetchOrder(orderId, context);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
     }
 
-    try {
-      let content;
-      switch (resourceKey) {
-        case 'config_site':
-          content = await this.getSiteConfig();
-          break;
-        case 'catalog_products':
-          content = await this.getProductCatalog();
-          break;
-        case 'session_user':
-          content = await this.getUserSession();
-          break;
-        case 'cart_current':
-          content = await this.getCurrentCart();
-          break;
-        case 'analytics_summary':
-          content = await this.getAnalyticsSummary();
-          break;
-        default:
-          throw new Error(`Resource ${resourceKey} not implemented`);
-      }
+    return jsonContent(formatOrder(order));
+  }
 
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: resource.mimeType,
-            text: JSON.stringify(content, null, 2)
-          }
-        ]
-      };
-    } catch (error) {
-      throw new Error(`Error reading resource ${uri}: ${error.message}`);
+  // Same flow as login in composition/useCustomerTools.js: signing in with the
+  // anonymous token merges the cart, then the session switches to a customer token
+  async signIn({ email, password, locale }, session, request) {
+    if (!session) {
+      throw new Error('Signing in needs a session, use a streaming or stdio transport');
     }
+    const context = this.resolveContext({ locale }, session, request);
+    const { data } = await context.client.mutate({
+      mutation: loginMutation,
+      variables: loginVars(email, password)
+    });
+    await session.auth.loginToken(email, password);
+    // Reset the entire cache, the customer may have specific prices
+    await context.client.cache.reset();
+    session.customer = data.customerSignMeIn.customer;
+    const cart = await this.fetchCart(context);
+    this.notify('notifications/resources/updated', { uri: CART_RESOURCE_URI }, session);
+
+    return jsonContent({
+      success: true,
+      message: `Signed in as ${session.customer.email}`,
+      customer: formatCustomer(session.customer),
+      cart: formatCart(cart)
+    });
   }
 
-  async listPrompts() {
-    return {
-      prompts: Array.from(this.prompts.values())
-    };
+  async signOut(arguments_, session) {
+    if (!session?.customer) {
+      throw new Error('No customer is signed in');
+    }
+    const client = this.clientFor(session);
+    session.auth.logout();
+    session.customer = null;
+    session.cartId = null;
+    session.cartVersion = null;
+    await client.cache.reset();
+    this.notify('notifications/resources/updated', { uri: CART_RESOURCE_URI }, session);
+
+    return jsonContent({ success: true, message: 'Signed out' });
   }
 
-  async getPrompt(name, arguments_) {
-    const prompt = this.prompts.get(name);
-    if (!prompt) {
-      throw new Error(`Prompt ${name} not found`);
+  // Latest customer data, the version is needed for every update
+  async requireCustomer(session, request) {
+    if (!session?.customer) {
+      throw new Error('No customer is signed in, use sign_in first');
     }
+    const { data } = await this.clientFor(session, request).query({
+      query: customerQuery,
+      fetchPolicy: 'network-only'
+    });
+    session.customer = data.me.customer;
+    return session.customer;
+  }
 
-    try {
-      let promptText;
-      switch (name) {
-        case 'recommend_products':
-          promptText = await this.generateProductRecommendationPrompt(arguments_);
-          break;
-        case 'style_advice':
-          promptText = await this.generateStyleAdvicePrompt(arguments_);
-          break;
-        case 'size_guide':
-          promptText = await this.generateSizeGuidePrompt(arguments_);
-          break;
-        case 'shopping_assistance':
-          promptText = await this.generateShoppingAssistancePrompt(arguments_);
-          break;
-        default:
-          throw new Error(`Prompt ${name} not implemented`);
-      }
-
-      return {
-        description: prompt.description,
-        messages: [
-          {
-            role: 'user',
-            content: {
-              type: 'text',
-              text: promptText
-            }
-          }
-        ]
-      };
-    } catch (error) {
-      throw new Error(`Error generating prompt ${name}: ${error.message}`);
-    }
+  async updateCustomer(actions, customer, session, request) {
+    const { data } = await this.clientFor(session, request).mutate({
+      mutation: updateCustomerMutation,
+      variables: { actions, version: customer.version }
+    });
+    session.customer = data.updateMyCustomer;
+    return session.customer;
   }
 
-  // Tool Implementation Methods
-  async searchProducts({ query, category, limit = 10 }) {
-    // This would integrate with the actual GraphQL API
-    const mockResults = [
-      {
-        id: '1',
-        name: `${query} Product 1`,
-        description: `Premium ${query} item`,
-        price: { value: { centAmount: 9999, currencyCode: 'EUR' } },
-        category: category || 'Fashion',
-        availability: 'InStock',
-        images: ['/images/product1.jpg']
-      }
-    ];
+  async getUserInfo(arguments_, session, request) {
+    if (!session?.customer) {
+      return jsonContent({
+        isAuthenticated: false,
+        message: 'Browsing as a guest, use sign_in to access a customer account'
+      });
+    }
+    const customer = await this.requireCustomer(session, request);
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            query,
-            results: mockResults.slice(0, limit),
-            total: mockResults.length
-          }, null, 2)
-        }
-      ]
-    };
+    return jsonContent({
+      isAuthenticated: true,
+      ...formatCustomer(customer)
+    });
   }
 
-  async getProduct({ productId }) {
-    // Mock product data - would integrate with actual API
-    const mockProduct = {
-      id: productId,
-      name: 'Premium Fashion Item',
-      description: 'High-quality fashion item with premium materials',
-      price: { value: { centAmount: 12999, currencyCode: 'EUR' } },
-      category: 'Fashion',
-      availability: 'InStock',
-      images: ['/images/product.jpg'],
-      variants: [
-        { id: 'v1', size: 'S', color: 'Black' },
-        { id: 'v2', size: 'M', color: 'Black' },
-        { id: 'v3', size: 'L', color: 'Black' }
-      ]
-    };
+  async updateProfile({ firstName, lastName, email }, session, request) {
+    const customer = await this.requireCustomer(session, request);
+    const actions = [
+      email !== undefined && { changeEmail: { email } },
+      firstName !== undefined && { setFirstName: { firstName } },
+      lastName !== undefined && { setLastName: { lastName } }
+    ].filter(Boolean);
+    if (!actions.length) {
+      throw new Error('Nothing to update, pass firstName, lastName or email');
+    }
+    const updated = await this.updateCustomer(actions, customer, session, request);
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(mockProduct, null, 2)
-        }
-      ]
-    };
+    return jsonContent({
+      success: true,
+      message: 'Profile updated',
+      customer: formatCustomer(updated)
+    });
   }
 
-  async getCategories() {
-    const mockCategories = [
-      { id: '1', name: 'Women', slug: 'women', level: 1 },
-      { id: '2', name: 'Men', slug: 'men', level: 1 },
-      { id: '3', name: 'Accessories', slug: 'accessories', level: 1 }
-    ];
+  async addAddress({ address, ...defaults }, session, request) {
+    const customer = await this.requireCustomer(session, request);
+    const known = new Set(customer.addresses.map(({ addressId }) => addressId));
+    let updated = await this.updateCustomer(
+      [{ addAddress: { address } }],
+      customer,
+      session,
+      request
+    );
+    // The id of the new address is only known after adding it
+    const added = updated.addresses.find(({ addressId }) => !known.has(addressId));
+    const actions = defaultAddressActions(added.addressId, defaults);
+    if (actions.length) {
+      updated = await this.updateCustomer(actions, updated, session, request);
+    }
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(mockCategories, null, 2)
-        }
-      ]
-    };
+    return jsonContent({
+      success: true,
+      message: 'Address added',
+      addressId: added.addressId,
+      customer: formatCustomer(updated)
+    });
   }
 
-  async getCart() {
-    const mockCart = {
-      id: 'cart-123',
-      items: [],
-      totalPrice: { value: { centAmount: 0, currencyCode: 'EUR' } },
-      itemCount: 0
-    };
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(mockCart, null, 2)
-        }
-      ]
-    };
+  findAddress(customer, addressId) {
+    const address = customer.addresses.find((candidate) => candidate.addressId === addressId);
+    if (!address) {
+      throw new Error(`Address ${addressId} is not in the address book`);
+    }
+    return address;
   }
 
-  async addToCart({ productId, quantity = 1, variantId }) {
-    const result = {
-      success: true,
-      message: `Added ${quantity} item(s) to cart`,
-      productId,
-      quantity,
-      variantId
-    };
+  async updateAddress({ addressId, address, ...defaults }, session, request) {
+    const customer = await this.requireCustomer(session, request);
+    this.findAddress(customer, addressId);
+    const actions = [
+      address && { changeAddress: { addressId, address } },
+      ...defaultAddressActions(addressId, defaults)
+    ].filter(Boolean);
+    if (!actions.length) {
+      throw new Error('Nothing to update, pass an address or default flags');
+    }
+    const updated = await this.updateCustomer(actions, customer, session, request);
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }
-      ]
-    };
+    return jsonContent({
+      success: true,
+      message: 'Address updated',
+      customer: formatCustomer(updated)
+    });
   }
 
-  async getUserInfo() {
-    const mockUser = {
-      id: 'user-123',
-      email: 'user@example.com',
-      firstName: 'John',
-      lastName: 'Doe',
-      preferences: {
-        language: 'en',
-        country: 'US',
-        currency: 'USD'
-      },
-      isAuthenticated: false
-    };
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(mockUser, null, 2)
-        }
-      ]
-    };
+  async removeAddress({ addressId }, session, request) {
+    const customer = await this.requireCustomer(session, request);
+    this.findAddress(customer, addressId);
+    const updated = await this.updateCustomer(
+      [{ removeAddress: { addressId } }],
+      customer,
+      session,
+      request
+    );
+
+    return jsonContent({
+      success: true,
+      message: 'Address removed',
+      customer: formatCustomer(updated)
+    });
   }
 
   async getNavigation() {
@@ -609,27 +3313,59 @@ class MCPServer {
     };
   }
 
-  async getUserSession() {
+  async getUserSession(session, request) {
+    const context = this.resolveContext({}, session, request);
+    const cart = await this.fetchCart(context);
     return {
-      isAuthenticated: false,
-      sessionId: 'session-123',
-      cartId: 'cart-123',
-      language: 'en',
-      country: 'US',
-      currency: 'USD'
+      isAuthenticated: Boolean(session?.customer),
+      customerId: session?.customer ? session.customer.customerId : null,
+      sessionId: session ? session.id : null,
+      createdAt: session ? session.createdAt : null,
+      lastActiveAt: session ? new Date(session.lastActiveAt).toISOString() : null,
+      cartId: cart ? cart.cartId : null,
+      store: session?.channel || null,
+      language: context.locale,
+      country: context.country,
+      currency: context.currency
     };
   }
 
-  async getCurrentCart() {
+  async getCurrentCart(session, request) {
+    const cart = await this.fetchCart(this.resolveContext({}, session, request));
+    return cart ? formatCart(cart) : { items: [], itemCount: 0 };
+  }
+
+  async getProductResource(sku, session, request) {
+    const context = this.resolveContext({}, session, request);
+    const product = await this.findProduct(sku, context);
+    return product ? formatProduct(product, context) : null;
+  }
+
+  async getCategoryResource(slug, session, request) {
+    const context = this.resolveContext({}, session, request);
+    const category = await this.findCategory(slug, context);
+    if (!category) {
+      return null;
+    }
+    const { total, results } = await this.queryProducts(
+      { limit: 20, categoryId: category.id, categorySlug: slug },
+      context
+    );
     return {
-      id: 'cart-123',
-      items: [],
-      totalPrice: 0,
-      currency: 'USD',
-      itemCount: 0
+      id: category.id,
+      name: category.name,
+      slug: category.slug,
+      url: `/${context.country}/${context.locale}/products/${category.slug}`,
+      total,
+      products: results.map((product) => formatProduct(product, context))
     };
   }
 
+  async getOrderResource(id, session, request) {
+    const order = await this.fetchOrder(id, this.resolveContext({}, session, request));
+    return order ? formatOrder(order) : null;
+  }
+
   async getAnalyticsSummary() {
     return {
       pageViews: 1250,
@@ -642,81 +3378,361 @@ class MCPServer {
   }
 
   // Prompt Generation Methods
-  async generateProductRecommendationPrompt({ user_preferences, category, budget }) {
-    return `Generate personalized product recommendations for a Sunrise Fashion customer.
+  async promptProducts(search, context, limit = 5) {
+    const { results } = await this.queryProducts(
+      { limit, expand: { variants: true }, ...search },
+      context
+    );
+    return results.map((product) => formatProduct(product, context));
+  }
+
+  async promptCart(context) {
+    const cart = await this.fetchCart(context);
+    return cart && cart.lineItems.length ? cart : null;
+  }
+
+  async generateProductRecommendationPrompt({ user_preferences, category, budget }, session, request) {
+    const context = this.resolveContext({}, session, request);
+    const range = parseBudget(budget);
+    let categoryId;
+    if (category) {
+      const found = await this.findCategory(category, context);
+      if (!found) {
+        throw new Error(`Category ${category} not found`);
+      }
+      categoryId = found.id;
+    }
+    const products = await this.promptProducts(
+      {
+        categoryId,
+        categorySlug: category,
+        filters: range ? [budgetFilter(range)] : []
+      },
+      context,
+      10
+    );
+    const cart = await this.promptCart(context);
+
+    return {
+      resources: products.map(productResource).concat(cart ? cartResource(cart) : []),
+      text: `Generate personalized product recommendations for a Sunrise Fashion customer.
 
 Context:
 - User preferences: ${user_preferences || 'Not specified'}
 - Category focus: ${category || 'All categories'}
 - Budget range: ${budget || 'No budget specified'}
+- Matching products: ${products.length} (attached above)
+- Current cart: ${cart ? 'attached above, do not recommend items that are already in it' : 'empty'}
 
-Please provide 3-5 product recommendations with explanations for why each product would be suitable for this customer. Include styling tips and complementary items where appropriate.`;
+Please recommend 3-5 of the attached products and explain why each one suits this customer. Only recommend attached products, refer to them by name and SKU and use the attached prices. Include styling tips and complementary items where appropriate.${products.length ? '' : ' No product matches the category and budget, say so and suggest widening the search.'}`
+    };
   }
 
-  async generateStyleAdvicePrompt({ occasion, style_preferences, body_type }) {
-    return `Provide fashion and styling advice for a Sunrise Fashion customer.
+  async generateStyleAdvicePrompt({ occasion, style_preferences, body_type }, session, request) {
+    const context = this.resolveContext({}, session, request);
+    const products = await this.promptProducts(
+      { text: [occasion, style_preferences].filter(Boolean).join(' ') },
+      context,
+      8
+    );
+    const cart = await this.promptCart(context);
+
+    return {
+      resources: products.map(productResource).concat(cart ? cartResource(cart) : []),
+      text: `Provide fashion and styling advice for a Sunrise Fashion customer.
 
 Context:
 - Occasion: ${occasion}
 - Style preferences: ${style_preferences || 'Not specified'}
 - Body type considerations: ${body_type || 'Not specified'}
+- Products matching the occasion: ${products.length} (attached above)
+- Current cart: ${cart ? 'attached above, build outfits around it where it fits' : 'empty'}
 
-Please provide detailed styling advice including outfit suggestions, color recommendations, and tips for achieving the desired look. Focus on items available in our fashion catalog.`;
+Please provide detailed styling advice including outfit suggestions, color recommendations, and tips for achieving the desired look. Build the outfits from the attached products, refer to them by name and SKU.`
+    };
   }
 
-  async generateSizeGuidePrompt({ product_type, measurements }) {
-    return `Provide sizing guidance for a Sunrise Fashion customer.
+  async generateSizeGuidePrompt({ product_type, measurements, size }, session, request) {
+    const context = this.resolveContext({}, session, request);
+    const attributes = sizeAttributes();
+    // Products of the named product type, a free text search for other values
+    const productType = (await this.completionProductTypes(context)).find(
+      ({ name }) => name.toLowerCase() === product_type.toLowerCase()
+    );
+    const products = await this.promptProducts(
+      productType
+        ? { filters: [{ model: { value: { path: 'productType.id', values: [productType.id] } } }] }
+        : { text: product_type },
+      context
+    );
+    const sizes = attributes.map(({ name, label }) => ({
+      label: label[context.locale] || name,
+      values: Array.from(
+        new Set(
+          products
+            .flatMap(({ variants }) => variants)
+            .map((variant) => variant.attributes[name])
+            .filter((value) => value !== undefined && value !== null)
+            .map((value) => (typeof value === 'object' ? value.label || value.key : value))
+        )
+      )
+    }));
+
+    return {
+      resources: products.map(productResource),
+      text: `Provide sizing guidance for a Sunrise Fashion customer.
 
 Context:
 - Product type: ${product_type}
 - Customer measurements: ${measurements || 'Not provided'}
+- Usual size: ${size || 'Not provided'}
+${sizes
+  .map(({ label, values }) => `- ${label} available: ${values.length ? values.join(', ') : 'unknown'}`)
+  .join('\n')}
 
-Please provide detailed sizing advice including how to measure correctly, size chart interpretation, and fit recommendations. Include tips for different body types and styling preferences.`;
+Please provide detailed sizing advice including how to measure correctly, size chart interpretation, and fit recommendations. Only recommend sizes that are available for the attached products and name the SKU of the variant to pick. Include tips for different body types and styling preferences.`
+    };
   }
 
-  async generateShoppingAssistancePrompt({ query, context }) {
-    return `Provide shopping assistance for a Sunrise Fashion customer.
+  async generateShoppingAssistancePrompt({ query, context: userContext }, session, request) {
+    const context = this.resolveContext({}, session, request);
+    const products = await this.promptProducts({ text: query }, context);
+    const cart = await this.promptCart(context);
+
+    return {
+      resources: products.map(productResource).concat(cart ? cartResource(cart) : []),
+      text: `Provide shopping assistance for a Sunrise Fashion customer.
 
 Customer query: ${query}
-Additional context: ${context || 'None provided'}
+Additional context: ${userContext || 'None provided'}
+Products matching the query: ${products.length} (attached above)
+Current cart: ${cart ? 'attached above' : 'empty'}
 
-Please provide helpful, accurate information about our products, services, policies, or general fashion advice. Be friendly and professional while addressing the customer's specific needs.`;
+Please provide helpful, accurate information about our products, services, policies, or general fashion advice, based on the attached catalog and cart data. Be friendly and professional while addressing the customer's specific needs.`
+    };
   }
 }
 
 // Export singleton instance
 export const mcpServer = new MCPServer();
 
+const requireParam = (params, key) => {
+  if (typeof params[key] !== 'string' || !params[key]) {
+    throw new MCPError(
+      JSONRPC_ERRORS.INVALID_PARAMS,
+      `Missing or invalid parameter: ${key}`
+    );
+  }
+};
+
+const requireSession = (context, method) => {
+  if (!context.session) {
+    throw new MCPError(
+      JSONRPC_ERRORS.INVALID_REQUEST,
+      `${method} needs a session, use a streaming transport`
+    );
+  }
+  return context.session;
+};
+
+// Abort signal and progressToken of a request, passed on to the server
+const requestOf = (params, context) => ({
+  signal: context.signal,
+  progressToken: params._meta?.progressToken
+});
+
+const isValidId = (id) =>
+  typeof id === 'string' || typeof id === 'number' || id === null;
+
+const jsonRpcError = (id, code, message, data) => ({
+  jsonrpc: '2.0',
+  id,
+  error: {
+    code,
+    message,
+    ...(data !== undefined ? { data } : {})
+  }
+});
+
 // MCP Protocol Handler for HTTP requests
 export class MCPHttpHandler {
   constructor(server) {
     this.server = server;
+
+    // JSON-RPC method table, shared by the JSON-RPC endpoint and the legacy paths
+    this.methods = new Map([
+      ['initialize', (params, context) => this.server.initialize(params, context.session)],
+      ['ping', () => ({})],
+      ['tools/list', (params, context) => this.server.listTools(params, context.session)],
+      ['tools/call', (params, context) => {
+        requireParam(params, 'name');
+        return this.server.callTool(
+          params.name,
+          params.arguments || {},
+          context.session,
+          requestOf(params, context)
+        );
+      }],
+      ['resources/list', (params) => this.server.listResources(params)],
+      ['resources/templates/list', (params) => this.server.listResourceTemplates(params)],
+      ['resources/read', (params, context) => {
+        requireParam(params, 'uri');
+        return this.server.readResource(params.uri, context.session, requestOf(params, context));
+      }],
+      ['resources/subscribe', (params, context) => {
+        requireParam(params, 'uri');
+        requireSession(context, 'resources/subscribe').subscriptions.add(params.uri);
+        return {};
+      }],
+      ['resources/unsubscribe', (params, context) => {
+        requireParam(params, 'uri');
+        requireSession(context, 'resources/unsubscribe').subscriptions.delete(params.uri);
+        return {};
+      }],
+      ['prompts/list', (params) => this.server.listPrompts(params)],
+      ['prompts/get', (params, context) => {
+        requireParam(params, 'name');
+        return this.server.getPrompt(
+          params.name,
+          params.arguments || {},
+          context.session,
+          requestOf(params, context)
+        );
+      }],
+      ['completion/complete', (params, context) =>
+        this.server.complete(params, context.session)],
+      ['logging/setLevel', (params, context) => {
+        requireParam(params, 'level');
+        return this.server.setLogLevel(params.level, requireSession(context, 'logging/setLevel'));
+      }],
+      ['notifications/initialized', () => undefined],
+      ['notifications/cancelled', (params, context) => {
+        this.cancel(params.requestId, context);
+      }]
+    ]);
+
+    // Abort controllers of the requests being handled, by session and request id.
+    // Callers without a session cannot be told apart, so their requests cannot
+    // be cancelled.
+    this.inFlight = new Map();
+  }
+
+  inFlightKey(id, context) {
+    return context.session ? JSON.stringify([context.session.id, id]) : null;
+  }
+
+  // A client can only cancel its own requests, unknown or finished ones are ignored
+  cancel(requestId, context) {
+    const key = this.inFlightKey(requestId, context);
+    const controller = key && this.inFlight.get(key);
+    if (controller) {
+      controller.abort();
+    }
+  }
+
+  async dispatch(method, params = {}, context = {}) {
+    const handler = this.methods.get(method);
+    if (!handler) {
+      throw new MCPError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, 'Params must be an object');
+    }
+    return handler(params, context);
+  }
+
+  // Handle a JSON-RPC 2.0 payload: a single message, a batch or a raw JSON string.
+  // Returns null when nothing has to be sent back (notifications only).
+  // The context carries the transport session, if there is one.
+  async handleJsonRpc(payload, context = {}) {
+    let message = payload;
+    if (typeof payload === 'string') {
+      try {
+        message = JSON.parse(payload);
+      } catch (error) {
+        return jsonRpcError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error');
+      }
+    }
+
+    if (Array.isArray(message)) {
+      if (!message.length) {
+        return jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+      }
+      const responses = await Promise.all(
+        message.map((item) => this.handleJsonRpcMessage(item, context))
+      );
+      const sent = responses.filter(Boolean);
+      return sent.length ? sent : null;
+    }
+
+    return this.handleJsonRpcMessage(message, context);
+  }
+
+  async handleJsonRpcMessage(message, context = {}) {
+    if (
+      !message ||
+      typeof message !== 'object' ||
+      Array.isArray(message) ||
+      message.jsonrpc !== '2.0' ||
+      typeof message.method !== 'string' ||
+      ('id' in message && !isValidId(message.id))
+    ) {
+      const id = message && isValidId(message.id) ? message.id : null;
+      return jsonRpcError(id, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    // Messages without an id are notifications and never get a response
+    const isNotification = !('id' in message);
+    // Requests can be cancelled, a cancelled request gets no response either
+    const controller = isNotification ? null : new AbortController();
+    const key = controller && this.inFlightKey(message.id, context);
+    if (key) {
+      this.inFlight.set(key, controller);
+    }
+    try {
+      const result = await this.dispatch(
+        message.method,
+        message.params,
+        controller ? { ...context, signal: controller.signal } : context
+      );
+      if (isNotification || controller.signal.aborted) {
+        return null;
+      }
+      return { jsonrpc: '2.0', id: message.id, result: result || {} };
+    } catch (error) {
+      if (isNotification || controller.signal.aborted) {
+        return null;
+      }
+      return jsonRpcError(
+        message.id,
+        error instanceof MCPError ? error.code : JSONRPC_ERRORS.INTERNAL_ERROR,
+        error.message,
+        error.data
+      );
+    } finally {
+      if (key && this.inFlight.get(key) === controller) {
+        this.inFlight.delete(key);
+      }
+    }
   }
 
+  // Legacy REST style paths (/mcp/tools/call, ...) map onto the JSON-RPC methods,
+  // a POST to /mcp itself is treated as a JSON-RPC request
   async handleRequest(method, path, body) {
+    if (path === '/mcp') {
+      return this.handleJsonRpc(body);
+    }
+
     try {
-      switch (path) {
-        case '/mcp/initialize':
-          return await this.server.initialize(body);
-        case '/mcp/tools/list':
-          return await this.server.listTools();
-        case '/mcp/tools/call':
-          return await this.server.callTool(body.name, body.arguments);
-        case '/mcp/resources/list':
-          return await this.server.listResources();
-        case '/mcp/resources/read':
-          return await this.server.readResource(body.uri);
-        case '/mcp/prompts/list':
-          return await this.server.listPrompts();
-        case '/mcp/prompts/get':
-          return await this.server.getPrompt(body.name, body.arguments);
-        default:
-          throw new Error(`Unknown MCP endpoint: ${path}`);
+      const rpcMethod = path.replace(/^\/mcp\//, '');
+      if (!path.startsWith('/mcp/') || !this.methods.has(rpcMethod)) {
+        throw new Error(`Unknown MCP endpoint: ${path}`);
       }
+      return await this.dispatch(rpcMethod, body || {});
     } catch (error) {
       return {
         error: {
-          code: -1,
+          code: error instanceof MCPError ? error.code : -1,
           message: error.message
         }
       };
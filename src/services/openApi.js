@@ -0,0 +1,575 @@
+/**
+ * OpenAPI Document
+ * Builds an OpenAPI 3.1 description of the AI API from the AIApiService
+ * endpoint registry. Endpoints name their request body and response schemas,
+ * which are defined here as components, query parameters come from the
+ * declarative query schemas and path parameters from the route.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const money = {
+  type: 'object',
+  properties: {
+    amount: { type: 'number' },
+    currency: { type: 'string', description: 'ISO 4217 currency code' },
+    formatted: { type: 'string' }
+  },
+  required: ['amount', 'currency']
+};
+
+const meta = {
+  type: 'object',
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    version: { type: 'string' },
+    aiOptimized: { type: 'boolean' }
+  }
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Fields the products of the listings and the product details share
+const productFields = {
+  id: { type: 'string' },
+  sku: { type: 'string' },
+  name: { type: 'string' },
+  description: { type: 'string' },
+  seo: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      keywords: stringList,
+      canonicalUrl: { type: 'string' }
+    }
+  },
+  tags: stringList,
+  createdAt: { type: 'string', format: 'date-time' },
+  updatedAt: { type: 'string', format: 'date-time' }
+};
+
+const productCategory = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  slug: { type: 'string' }
+};
+
+const image = {
+  url: { type: 'string' },
+  alt: { type: 'string' }
+};
+
+const ratings = {
+  average: { type: 'number' },
+  count: { type: 'integer' },
+  distribution: {
+    type: 'object',
+    description: 'Number of ratings by stars',
+    additionalProperties: { type: 'integer' }
+  }
+};
+
+const listParams = {
+  type: 'object',
+  properties: {
+    cursor: { type: 'string', description: 'nextCursor of the previous page' }
+  }
+};
+
+export const OPENAPI_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          code: {
+            type: 'integer',
+            description: 'HTTP status, or the JSON-RPC error code for MCP routes'
+          },
+          fields: {
+            type: 'array',
+            description: 'Invalid query parameters',
+            items: {
+              type: 'object',
+              properties: { name: { type: 'string' }, message: { type: 'string' } }
+            }
+          },
+          allow: { type: 'array', items: { type: 'string' } },
+          timestamp: { type: 'string', format: 'date-time' }
+        },
+        required: ['message', 'code']
+      }
+    },
+    required: ['error']
+  },
+  Money: money,
+  Pagination: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      hasMore: { type: 'boolean' }
+    }
+  },
+  Product: {
+    type: 'object',
+    properties: {
+      ...productFields,
+      category: { type: 'object', properties: productCategory },
+      brand: { type: 'string' },
+      price: {
+        type: 'object',
+        properties: {
+          current: ref('Money'),
+          original: ref('Money'),
+          discount: { type: 'number', description: 'Discount in percent' }
+        },
+        required: ['current']
+      },
+      availability: { type: 'string', description: 'schema.org availability, e.g. InStock' },
+      images: { type: 'array', items: { type: 'object', properties: image } },
+      attributes: { type: 'object', description: 'Attribute values by name' },
+      variants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { id: { type: 'string' }, sku: { type: 'string' } },
+          additionalProperties: { type: 'string', description: 'Attribute values by name' }
+        }
+      },
+      ratings: { type: 'object', properties: ratings }
+    },
+    required: ['id', 'name']
+  },
+  ProductDetail: {
+    type: 'object',
+    properties: {
+      ...productFields,
+      longDescription: { type: 'string' },
+      category: {
+        type: 'object',
+        properties: { ...productCategory, breadcrumb: stringList }
+      },
+      brand: {
+        type: 'object',
+        properties: { name: { type: 'string' }, description: { type: 'string' } }
+      },
+      price: {
+        type: 'object',
+        properties: {
+          current: ref('Money'),
+          original: ref('Money'),
+          discount: {
+            type: 'object',
+            properties: {
+              percentage: { type: 'number' },
+              amount: { type: 'number', description: 'In the currency of the current price' },
+              formatted: { type: 'string' }
+            }
+          }
+        },
+        required: ['current']
+      },
+      availability: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', description: 'schema.org availability, e.g. InStock' },
+          quantity: { type: 'integer' },
+          restockDate: { type: ['string', 'null'], format: 'date' },
+          shippingTime: { type: 'string' }
+        }
+      },
+      images: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ...image,
+            type: { type: 'string', enum: ['main', 'detail'] },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+          }
+        }
+      },
+      attributes: { type: 'object', description: 'Attribute values by name' },
+      variants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            sku: { type: 'string' },
+            attributes: { type: 'object', additionalProperties: { type: 'string' } },
+            availability: { type: 'string' },
+            price: ref('Money')
+          }
+        }
+      },
+      specifications: { type: 'object', additionalProperties: { type: 'string' } },
+      ratings: {
+        type: 'object',
+        properties: {
+          ...ratings,
+          reviews: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                rating: { type: 'integer', minimum: 1, maximum: 5 },
+                title: { type: 'string' },
+                comment: { type: 'string' },
+                author: { type: 'string' },
+                date: { type: 'string', format: 'date' },
+                verified: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      },
+      relatedProducts: { ...stringList, description: 'Product ids' },
+      crossSells: { ...stringList, description: 'Product ids' },
+      collections: stringList,
+      aiMetadata: {
+        type: 'object',
+        properties: {
+          searchTerms: stringList,
+          styleAdvice: { type: 'string' },
+          sizingAdvice: { type: 'string' },
+          careInstructions: { type: 'string' }
+        }
+      }
+    },
+    required: ['id', 'name']
+  },
+  ProductList: {
+    type: 'object',
+    properties: {
+      products: { type: 'array', items: ref('Product') },
+      pagination: ref('Pagination'),
+      filters: { type: 'object' },
+      meta
+    },
+    required: ['products', 'pagination']
+  },
+  ProductDetails: {
+    type: 'object',
+    properties: {
+      product: ref('ProductDetail'),
+      meta
+    },
+    required: ['product']
+  },
+  SearchResults: {
+    allOf: [ref('ProductList')],
+    properties: {
+      query: { type: 'string' },
+      searchMeta: {
+        type: 'object',
+        properties: {
+          processingTime: { type: 'string' },
+          suggestions: stringList,
+          filters: { type: 'object', additionalProperties: stringList }
+        }
+      }
+    }
+  },
+  Category: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      slug: { type: 'string' },
+      description: { type: 'string' },
+      level: { type: 'integer' },
+      parentId: { type: ['string', 'null'] },
+      productCount: { type: 'integer' },
+      subcategories: { type: 'array', items: ref('Category') }
+    },
+    required: ['id', 'name', 'slug']
+  },
+  CategoryList: {
+    type: 'object',
+    properties: {
+      categories: { type: 'array', items: ref('Category') },
+      meta
+    },
+    required: ['categories']
+  },
+  JsonRpcRequest: {
+    type: 'object',
+    properties: {
+      jsonrpc: { const: '2.0' },
+      id: { type: ['string', 'integer'] },
+      method: { type: 'string' },
+      params: { type: 'object' }
+    },
+    required: ['jsonrpc', 'method']
+  },
+  JsonRpcResponse: {
+    type: 'object',
+    properties: {
+      jsonrpc: { const: '2.0' },
+      id: { type: ['string', 'integer', 'null'] },
+      result: { type: 'object' },
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'integer' },
+          message: { type: 'string' },
+          data: {}
+        }
+      }
+    },
+    required: ['jsonrpc', 'id']
+  },
+  McpListParams: listParams,
+  McpToolCallParams: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Tool name from tools/list' },
+      arguments: { type: 'object', description: 'Arguments matching the inputSchema of the tool' }
+    },
+    required: ['name']
+  },
+  McpResourceReadParams: {
+    type: 'object',
+    properties: { uri: { type: 'string' } },
+    required: ['uri']
+  },
+  McpPromptGetParams: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      arguments: { type: 'object', additionalProperties: { type: 'string' } }
+    },
+    required: ['name']
+  },
+  McpToolList: {
+    type: 'object',
+    properties: {
+      tools: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            inputSchema: { type: 'object' },
+            annotations: { type: 'object' }
+          },
+          required: ['name', 'inputSchema']
+        }
+      },
+      nextCursor: { type: 'string' }
+    },
+    required: ['tools']
+  },
+  McpToolResult: {
+    type: 'object',
+    properties: {
+      content: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { type: { type: 'string' }, text: { type: 'string' } },
+          required: ['type']
+        }
+      },
+      isError: { type: 'boolean' }
+    },
+    required: ['content']
+  },
+  McpResourceList: {
+    type: 'object',
+    properties: {
+      resources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            uri: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            mimeType: { type: 'string' }
+          },
+          required: ['uri', 'name']
+        }
+      },
+      nextCursor: { type: 'string' }
+    },
+    required: ['resources']
+  },
+  McpResourceContents: {
+    type: 'object',
+    properties: {
+      contents: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            uri: { type: 'string' },
+            mimeType: { type: 'string' },
+            text: { type: 'string' }
+          },
+          required: ['uri']
+        }
+      }
+    },
+    required: ['contents']
+  },
+  McpPromptList: {
+    type: 'object',
+    properties: {
+      prompts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            arguments: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['name']
+        }
+      },
+      nextCursor: { type: 'string' }
+    },
+    required: ['prompts']
+  },
+  McpPromptMessages: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      messages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', enum: ['user', 'assistant'] },
+            content: { type: 'object' }
+          },
+          required: ['role', 'content']
+        }
+      }
+    },
+    required: ['messages']
+  }
+};
+
+// Request body and response of the legacy MCP paths by JSON-RPC method
+export const MCP_METHOD_SCHEMAS = {
+  'tools/list': { body: 'McpListParams', response: 'McpToolList' },
+  'tools/call': { body: 'McpToolCallParams', response: 'McpToolResult' },
+  'resources/list': { body: 'McpListParams', response: 'McpResourceList' },
+  'resources/read': { body: 'McpResourceReadParams', response: 'McpResourceContents' },
+  'prompts/list': { body: 'McpListParams', response: 'McpPromptList' },
+  'prompts/get': { body: 'McpPromptGetParams', response: 'McpPromptMessages' }
+};
+
+// GET /api/ai/products/:id becomes get_ai_products_by_id, usable as a tool name
+const operationId = (method, route) =>
+  [method.toLowerCase()]
+    .concat(
+      route
+        .replace(/^\/api\//, '')
+        .split('/')
+        .filter(Boolean)
+        .map((segment) => (segment.startsWith(':') ? `by_${segment.slice(1)}` : segment))
+    )
+    .join('_')
+    .replace(/[^a-zA-Z0-9_]+/g, '_');
+
+const openApiPath = (route) => route.replace(/:([^/]+)/g, '{$1}');
+
+const parametersOf = (route, query = {}) => [
+  ...(route.match(/:[^/]+/g) || []).map((param) => ({
+    name: param.slice(1),
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  })),
+  ...Object.entries(query).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: false,
+    schema
+  }))
+];
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const operationOf = (route, endpoint) => {
+  const { method, description, query, body, response, contentType } = endpoint;
+  const isMcp = route.startsWith('/api/mcp');
+  const parameters = parametersOf(route, query);
+  const operation = {
+    operationId: operationId(method, route),
+    summary: description,
+    tags: [isMcp ? 'MCP' : 'AI API'],
+    ...(parameters.length ? { parameters } : {}),
+    responses: {
+      200: {
+        description: 'Successful response',
+        content: contentType
+          ? { [contentType.split(';')[0]]: { schema: { type: 'string' } } }
+          : jsonContent(response ? ref(response) : { type: 'object' })
+      }
+    }
+  };
+
+  if (body) {
+    operation.requestBody = { required: true, content: jsonContent(ref(body)) };
+  } else if (method !== 'GET') {
+    operation.requestBody = { content: jsonContent({ type: 'object' }) };
+  }
+  if (query) {
+    operation.responses[400] = {
+      description: 'Invalid query parameters, listed in error.fields',
+      content: jsonContent(ref('Error'))
+    };
+  }
+  if (route.includes(':')) {
+    operation.responses[404] = {
+      description: 'Not found',
+      content: jsonContent(ref('Error'))
+    };
+  }
+  operation.responses.default = {
+    description: 'Error',
+    content: jsonContent(ref('Error'))
+  };
+  return operation;
+};
+
+export const buildOpenApiDocument = (endpoints, { serverUrl, version = '1.0' } = {}) => {
+  const paths = {};
+  endpoints.forEach((endpoint, route) => {
+    const path = openApiPath(route);
+    paths[path] = {
+      ...paths[path],
+      [endpoint.method.toLowerCase()]: operationOf(route, endpoint)
+    };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Sunrise Fashion AI API',
+      version,
+      description:
+        'Structured catalog and site data for AI agents, and the Model Context Protocol over HTTP.'
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    tags: [
+      { name: 'AI API', description: 'AI-friendly REST endpoints' },
+      { name: 'MCP', description: 'Model Context Protocol, JSON-RPC 2.0 and legacy REST paths' }
+    ],
+    paths,
+    components: { schemas: OPENAPI_SCHEMAS }
+  };
+};
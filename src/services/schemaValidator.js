@@ -0,0 +1,139 @@
+/**
+ * JSON Schema Validator
+ * Checks MCP tool and prompt arguments against their declared schemas.
+ * Supports the subset of JSON Schema used by the MCP definitions: type,
+ * required, properties, additionalProperties, enum, numeric and length
+ * limits, pattern and array items.
+ */
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+const violation = (path, keyword, message) => ({
+  path: path || '(root)',
+  keyword,
+  message
+});
+
+// Returns a list of { path, keyword, message } violations, empty when the value is valid
+export const validateSchema = (schema = {}, value, path = '') => {
+  const violations = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(type, value))) {
+      return [
+        violation(path, 'type', `must be ${types.join(' or ')}, got ${typeOf(value)}`)
+      ];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push(
+      violation(path, 'enum', `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`)
+    );
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push(violation(path, 'minimum', `must be >= ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push(violation(path, 'maximum', `must be <= ${schema.maximum}`));
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      violations.push(violation(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      violations.push(violation(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push(
+        violation(path, 'minLength', `must have at least ${schema.minLength} character(s)`)
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push(
+        violation(path, 'maxLength', `must have at most ${schema.maxLength} character(s)`)
+      );
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      violations.push(violation(path, 'pattern', `must match ${schema.pattern}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push(violation(path, 'minItems', `must have at least ${schema.minItems} item(s)`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push(violation(path, 'maxItems', `must have at most ${schema.maxItems} item(s)`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) {
+        violations.push(violation(path ? `${path}.${name}` : name, 'required', 'is required'));
+      }
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        if (propertyValue !== undefined) {
+          violations.push(...validateSchema(properties[name], propertyValue, propertyPath));
+        }
+      } else if (schema.additionalProperties === false) {
+        violations.push(violation(propertyPath, 'additionalProperties', 'is not allowed'));
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        violations.push(
+          ...validateSchema(schema.additionalProperties, propertyValue, propertyPath)
+        );
+      }
+    });
+  }
+
+  return violations;
+};
+
+// MCP prompt arguments are declared as a list and always passed as strings
+export const promptArgumentsSchema = (promptArguments = []) => ({
+  type: 'object',
+  properties: promptArguments.reduce((properties, { name, description }) => {
+    properties[name] = { type: 'string', description };
+    return properties;
+  }, {}),
+  required: promptArguments
+    .filter(({ required }) => required)
+    .map(({ name }) => name)
+});
+
+export const formatViolations = (violations) =>
+  violations.map(({ path, message }) => `${path} ${message}`).join('; ');
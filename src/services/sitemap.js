@@ -0,0 +1,235 @@
+/**
+ * Sitemap Generator
+ * Renders the XML sitemap of the shop from the live catalog: an index at
+ * /sitemap.xml and a shard per country and locale at
+ * /sitemaps/{country}-{locale}.xml, with the /:country/:locale prefix of
+ * src/router/routes.js. Every URL lists its hreflang alternates in the other
+ * countries and locales and when it was last modified.
+ */
+
+import config from '../../sunrise.config';
+import { CatalogDocuments } from './catalogDocuments.js';
+
+// commercetools does not page product searches beyond this offset
+export const SITEMAP_PRODUCT_LIMIT = 10000;
+const PRODUCT_PAGE_SIZE = 500;
+const CATEGORY_LIMIT = 500;
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// Pages without catalog data, paths below the country and locale prefix
+const STATIC_PAGES = [
+  { type: 'homepage', path: '', changefreq: 'daily', priority: 1.0 },
+  { type: 'stores', path: 'stores', changefreq: 'monthly', priority: 0.5 }
+];
+
+export const SHARDS = Object.keys(config.countries).flatMap((country) =>
+  Object.keys(config.languages).map((locale) => ({
+    country,
+    locale,
+    name: `${country}-${locale}`
+  }))
+);
+const [DEFAULT_SHARD] = SHARDS;
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (character) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[character])
+  );
+
+const hreflang = ({ country, locale }) => `${locale}-${country}`;
+
+const latest = (dates) => dates.filter(Boolean).sort().pop();
+
+// Entries have a path per shard they are listed in, slugs are localized
+export const pageUrl = (siteUrl, { country, locale }, path) =>
+  `${siteUrl}/${country}/${locale}${path ? `/${path}` : ''}`;
+
+const renderUrl = (siteUrl, shard, entry) => {
+  const alternates = SHARDS.filter(({ name }) => entry.paths[name] !== undefined);
+  return [
+    '  <url>',
+    `    <loc>${escapeXml(pageUrl(siteUrl, shard, entry.paths[shard.name]))}</loc>`,
+    ...(entry.lastmod ? [`    <lastmod>${entry.lastmod}</lastmod>`] : []),
+    `    <changefreq>${entry.changefreq}</changefreq>`,
+    `    <priority>${entry.priority.toFixed(1)}</priority>`,
+    ...alternates.map(
+      (alternate) =>
+        `    <xhtml:link rel="alternate" hreflang="${hreflang(alternate)}" href="${escapeXml(
+          pageUrl(siteUrl, alternate, entry.paths[alternate.name])
+        )}"/>`
+    ),
+    ...(alternates.includes(DEFAULT_SHARD)
+      ? [
+          `    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(
+            pageUrl(siteUrl, DEFAULT_SHARD, entry.paths[DEFAULT_SHARD.name])
+          )}"/>`
+        ]
+      : []),
+    '  </url>'
+  ].join('\n');
+};
+
+export const renderShard = (siteUrl, shard, entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NAMESPACE}" xmlns:xhtml="${XHTML_NAMESPACE}">`,
+    ...entries
+      .filter(({ paths }) => paths[shard.name] !== undefined)
+      .map((entry) => renderUrl(siteUrl, shard, entry)),
+    '</urlset>',
+    ''
+  ].join('\n');
+
+export const renderIndex = (siteUrl, entries) => {
+  const lastmod = latest(entries.map((entry) => entry.lastmod));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+    ...SHARDS.map(({ name }) =>
+      [
+        '  <sitemap>',
+        `    <loc>${escapeXml(`${siteUrl}/sitemaps/${name}.xml`)}</loc>`,
+        ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+        '  </sitemap>'
+      ].join('\n')
+    ),
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+};
+
+// Catalog items of every shard merged by id, with the path in each shard.
+// Items without a slug in the locale of a shard are left out of that shard.
+const mergeShards = (listsByShard, toEntry) => {
+  const entries = new Map();
+  listsByShard.forEach(({ shard, items }) => {
+    items
+      .filter(({ slug }) => slug)
+      .forEach((item) => {
+        const { id, path, ...entry } = toEntry(item);
+        if (!entries.has(id)) {
+          entries.set(id, { ...entry, paths: {} });
+        }
+        entries.get(id).paths[shard.name] = path;
+      });
+  });
+  return Array.from(entries.values());
+};
+
+// documents() resolves to { entries, generatedAt, index, shards } with the
+// shards by name
+export class SitemapGenerator extends CatalogDocuments {
+  constructor({ siteUrl, productLimit = SITEMAP_PRODUCT_LIMIT, ...options }) {
+    super(options);
+    this.siteUrl = siteUrl;
+    this.productLimit = productLimit;
+  }
+
+  async index() {
+    const { index } = await this.documents();
+    return index;
+  }
+
+  // null for shards of unknown countries or locales
+  async shard(name) {
+    if (!SHARDS.some((shard) => shard.name === name)) {
+      return null;
+    }
+    const { shards } = await this.documents();
+    return shards.get(name) || null;
+  }
+
+  async queryAllProducts(context) {
+    const products = [];
+    let total = Infinity;
+    while (products.length < Math.min(total, this.productLimit)) {
+      const page = await this.catalog.queryProducts(
+        {
+          limit: Math.min(PRODUCT_PAGE_SIZE, this.productLimit - products.length),
+          offset: products.length,
+          expand: { lastModified: true }
+        },
+        context
+      );
+      total = page.total;
+      products.push(...page.results);
+      if (!page.results.length) {
+        break;
+      }
+    }
+    return products;
+  }
+
+  async fetchCategories(locale) {
+    const { results } = await this.catalog.fetchCategories(
+      { level: 2, limit: CATEGORY_LIMIT },
+      this.catalog.resolveContext({ locale })
+    );
+    return { locale, results };
+  }
+
+  async generate() {
+    // Categories are the same in every country, products are only listed in
+    // the countries they have a price in
+    const [categories, products] = await Promise.all([
+      Promise.all(Object.keys(config.languages).map((locale) => this.fetchCategories(locale))),
+      Promise.all(
+        SHARDS.map((shard) =>
+          this.queryAllProducts(this.catalog.resolveContext(shard)).then((items) => ({
+            shard,
+            items
+          }))
+        )
+      )
+    ]);
+
+    const entries = [
+      ...STATIC_PAGES.map(({ path, ...page }) => ({
+        ...page,
+        paths: SHARDS.reduce((paths, { name }) => {
+          paths[name] = path;
+          return paths;
+        }, {})
+      })),
+      ...mergeShards(
+        SHARDS.map((shard) => ({
+          shard,
+          items: categories.find(({ locale }) => locale === shard.locale).results
+        })),
+        ({ id, slug, lastModifiedAt }) => ({
+          id,
+          type: 'category',
+          path: `products/${slug}`,
+          lastmod: lastModifiedAt,
+          changefreq: 'daily',
+          priority: 0.9
+        })
+      ),
+      ...mergeShards(
+        products,
+        ({ productId, slug, masterVariant, lastModifiedAt }) => ({
+          id: productId,
+          type: 'product',
+          sku: masterVariant.sku,
+          path: `product/${slug}/${encodeURIComponent(masterVariant.sku)}`,
+          lastmod: lastModifiedAt,
+          changefreq: 'weekly',
+          priority: 0.8
+        })
+      )
+    ];
+
+    return {
+      entries,
+      generatedAt: new Date(this.now()).toISOString(),
+      index: renderIndex(this.siteUrl, entries),
+      shards: new Map(
+        SHARDS.map((shard) => [shard.name, renderShard(this.siteUrl, shard, entries)])
+      )
+    };
+  }
+}
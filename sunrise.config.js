@@ -166,6 +166,47 @@ const config = {
   ],
   variantSelector: ['color', 'size'],
   variantInProductName: ['size'],
+  //which MCP tools agents may call and how often (src/services/mcpPolicy.js)
+  mcpPolicy: {
+    //every other tool changes a cart, an order, an account
+    //  or the session and counts as mutating
+    readOnlyTools: [
+      'search_products',
+      'get_product',
+      'compare_products',
+      'find_stores',
+      'find_variant',
+      'get_categories',
+      'get_cart',
+      'list_orders',
+      'get_order',
+      'get_user_info',
+      'get_navigation',
+    ],
+    //allow/deny per client id, entries are tool names or
+    //  'read-only' and 'mutating', deny wins. '*' is for
+    //  unauthenticated and all other clients. Ids come from the
+    //  transport: MCP_API_KEYS of server/ai-api-server.js,
+    //  'stdio' for server/mcp-stdio-server.js and 'storefront'
+    //  for the calls of the browser without a session
+    clients: {
+      '*': { allow: ['read-only'] },
+      stdio: { allow: ['read-only', 'mutating'] },
+      storefront: { allow: ['read-only', 'mutating'] },
+    },
+    //calls per sliding window of one client (its address when
+    //  unauthenticated), over all tools and per tool, 'mutating'
+    //  is the limit of mutating tools without an own entry
+    rateLimits: {
+      session: { max: 120, windowMs: 60 * 1000 },
+      tools: {
+        mutating: { max: 30, windowMs: 60 * 1000 },
+        add_to_cart: { max: 20, windowMs: 60 * 1000 },
+        sign_in: { max: 5, windowMs: 5 * 60 * 1000 },
+        confirm_order: { max: 3, windowMs: 60 * 1000 },
+      },
+    },
+  },
   ...localConfig,
 };
 // eslint-disable-next-line no-console
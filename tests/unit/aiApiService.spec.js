@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for the AI API Service
+ *
+ * The endpoint registry is what the Express server mounts, so every AI API
+ * endpoint and every MCP method has to be reachable through it.
+ */
+
+import { AIApiService, httpStatus } from '@/services/aiApiService';
+import { mcpHttpHandler } from '@/services/mcpServer';
+import { validateSchema } from '@/services/schemaValidator';
+
+describe('AIApiService endpoints', () => {
+  const service = new AIApiService();
+
+  it('registers a legacy path for every MCP method but notifications', () => {
+    const routes = Array.from(service.endpoints.keys());
+    Array.from(mcpHttpHandler.methods.keys()).forEach((method) => {
+      expect(routes.includes(`/api/mcp/${method}`)).toBe(
+        !method.startsWith('notifications/')
+      );
+    });
+    expect(service.endpoints.get('/api/mcp/tools/call').method).toBe('POST');
+  });
+
+  it('dispatches MCP methods with slashes to the MCP handler', async () => {
+    const tools = await service.handleRequest('POST', '/api/mcp/tools/list', {}, {});
+    expect(tools.tools.map(({ name }) => name)).toContain('search_products');
+
+    const missing = await service.handleRequest('POST', '/api/mcp/prompts/get', {}, {});
+    expect(missing.error.message).toBe('Missing or invalid parameter: name');
+  });
+
+  it('passes path parameters and query parameters to the handlers', async () => {
+    const details = await service.handleRequest('GET', '/api/ai/products/prod-7');
+    expect(details.product.id).toBe('prod-7');
+
+    const results = await service.handleRequest('GET', '/api/ai/search', { q: 'shirt' });
+    expect(results.products.map(({ id }) => id)).toEqual(['prod-2']);
+  });
+});
+
+describe('AIApiService routing', () => {
+  const service = new AIApiService();
+
+  it('tells unknown paths from methods that are not allowed', async () => {
+    const notFound = await service.handleRequest('GET', '/api/ai/nope');
+    expect(notFound.error).toEqual(
+      expect.objectContaining({ code: 404, message: 'Endpoint not found: GET /api/ai/nope' })
+    );
+
+    const notAllowed = await service.handleRequest('DELETE', '/api/ai/products/prod-1');
+    expect(notAllowed.error).toEqual(expect.objectContaining({ code: 405, allow: ['GET'] }));
+    expect(httpStatus(notAllowed)).toBe(405);
+    expect((await service.handleRequest('GET', '/api/mcp/tools/list')).error.allow).toEqual([
+      'POST',
+    ]);
+  });
+
+  it('prefers static routes and decodes path parameters', async () => {
+    service.endpoints.set('/api/ai/products/featured', {
+      method: 'GET',
+      handler: async () => ({ featured: true }),
+    });
+
+    expect(await service.handleRequest('GET', '/api/ai/products/featured')).toEqual({
+      featured: true,
+    });
+    const details = await service.handleRequest('HEAD', '/api/ai/products/prod%201/');
+    expect(details.product.id).toBe('prod 1');
+  });
+
+  it('converts declared query parameters to their types', async () => {
+    const result = await service.handleRequest('GET', '/api/ai/products', {
+      limit: '1',
+      offset: '1',
+      includeImages: 'false',
+      utm_source: 'agent',
+    });
+
+    expect(result.pagination).toEqual({ total: 2, limit: 1, offset: 1, hasMore: false });
+    expect(result.products[0].images).toEqual([]);
+  });
+
+  it('lists every invalid query parameter', async () => {
+    const result = await service.handleRequest('GET', '/api/ai/search', {
+      q: 'dress',
+      limit: 'ten',
+      offset: '-1',
+      sortBy: 'color',
+      sortOrder: 'up',
+      category: '',
+    });
+
+    expect(httpStatus(result)).toBe(400);
+    expect(result.error.message).toBe('Invalid query parameters');
+    expect(result.error.fields).toEqual([
+      { name: 'limit', message: 'must be integer, got string' },
+      { name: 'offset', message: 'must be >= 0' },
+      { name: 'sortBy', message: 'must be one of "name", "price", "rating"' },
+      { name: 'sortOrder', message: 'must be one of "asc", "desc"' },
+      { name: 'category', message: 'must have at least 1 character(s)' },
+    ]);
+  });
+});
+
+describe('AIApiService OpenAPI document', () => {
+  const service = new AIApiService();
+  const refsOf = (value) =>
+    value && typeof value === 'object'
+      ? Object.entries(value).flatMap(([key, item]) =>
+          key === '$ref' ? [item] : refsOf(item)
+        )
+      : [];
+  // Inlines $ref and allOf and allows no undeclared properties, so a response
+  // has to be described field by field
+  const strictSchema = (schema, schemas) => {
+    if (schema.$ref) {
+      return strictSchema(schemas[schema.$ref.split('/').pop()], schemas);
+    }
+    const { allOf = [], ...own } = schema;
+    const parts = [...allOf.map((part) => strictSchema(part, schemas)), own];
+    const strict = Object.assign({}, ...parts);
+    if (parts.some(({ properties }) => properties)) {
+      strict.properties = Object.fromEntries(
+        parts
+          .flatMap(({ properties = {} }) => Object.entries(properties))
+          .map(([name, property]) => [name, strictSchema(property, schemas)])
+      );
+      strict.required = parts.flatMap(({ required = [] }) => required);
+      strict.additionalProperties = own.additionalProperties || false;
+    } else if (typeof strict.additionalProperties === 'object') {
+      strict.additionalProperties = strictSchema(strict.additionalProperties, schemas);
+    }
+    if (strict.items) {
+      strict.items = strictSchema(strict.items, schemas);
+    }
+    return strict;
+  };
+
+  it('describes every registered endpoint', async () => {
+    const document = await service.handleRequest('GET', '/api/ai/openapi.json');
+
+    expect(document.openapi).toBe('3.1.0');
+    const operations = Object.values(document.paths).flatMap(Object.values);
+    expect(operations).toHaveLength(service.endpoints.size);
+    const operationIds = operations.map(({ operationId }) => operationId);
+    expect(new Set(operationIds).size).toBe(operationIds.length);
+    operationIds.forEach((id) => expect(id).toMatch(/^[a-zA-Z0-9_]+$/));
+    expect(document.paths['/api/mcp/tools/call'].post.operationId).toBe('post_mcp_tools_call');
+  });
+
+  it('takes parameters from the route and the query schema', async () => {
+    const { paths } = await service.getOpenApiDocument();
+
+    const details = paths['/api/ai/products/{id}'].get;
+    expect(details.operationId).toBe('get_ai_products_by_id');
+    expect(details.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    ]);
+    expect(details.responses[404]).toBeDefined();
+
+    const search = paths['/api/ai/search'].get;
+    expect(search.parameters.map(({ name }) => name)).toEqual([
+      'limit',
+      'offset',
+      'sortBy',
+      'sortOrder',
+      'category',
+      'q',
+    ]);
+    expect(search.parameters[0].schema).toEqual({ type: 'integer', minimum: 1, maximum: 100 });
+    expect(search.responses[200].content['application/json'].schema).toEqual({
+      $ref: '#/components/schemas/SearchResults',
+    });
+    expect(search.responses[400]).toBeDefined();
+  });
+
+  it('describes the responses of the product endpoints', async () => {
+    const { paths, components } = await service.getOpenApiDocument();
+    const requests = [
+      ['/api/ai/products', '/api/ai/products', { includeVariants: 'true' }],
+      ['/api/ai/products/{id}', '/api/ai/products/prod-1', {}],
+      ['/api/ai/search', '/api/ai/search', { q: 'dress' }],
+    ];
+
+    for (const [route, path, query] of requests) {
+      const { schema } = paths[route].get.responses[200].content['application/json'];
+      const response = await service.handleRequest('GET', path, query);
+
+      expect(response.error).toBeUndefined();
+      expect(validateSchema(strictSchema(schema, components.schemas), response)).toEqual([]);
+    }
+  });
+
+  it('only references schemas that are defined', async () => {
+    const document = await service.getOpenApiDocument();
+
+    const refs = [...new Set(refsOf(document))];
+    expect(refs).toContain('#/components/schemas/McpToolCallParams');
+    refs.forEach((ref) => {
+      expect(document.components.schemas[ref.split('/').pop()]).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for the Catalog Documents cache
+ *
+ * generate() is a mock, so the tests can count how often the documents are
+ * generated while the clock moves.
+ */
+
+import { CatalogDocuments } from '@/services/catalogDocuments';
+
+const createDocuments = () => {
+  const clock = { now: 0 };
+  const documents = new CatalogDocuments({ catalog: {}, ttl: 1000, now: () => clock.now });
+  documents.generate = jest.fn(async () => ({ index: 'index' }));
+  return { documents, clock };
+};
+
+describe('CatalogDocuments', () => {
+  it('shares a generation and caches it until the ttl is over', async () => {
+    const { documents, clock } = createDocuments();
+
+    const [first, second] = await Promise.all([documents.documents(), documents.documents()]);
+    expect(first).toBe(second);
+    clock.now = 999;
+    await documents.documents();
+    expect(documents.generate).toHaveBeenCalledTimes(1);
+
+    clock.now = 1000;
+    await documents.documents();
+    expect(documents.generate).toHaveBeenCalledTimes(2);
+
+    documents.invalidate();
+    await documents.documents();
+    expect(documents.generate).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not cache a failed generation', async () => {
+    const { documents } = createDocuments();
+    documents.generate.mockRejectedValueOnce(new Error('commercetools unavailable'));
+
+    await expect(documents.documents()).rejects.toThrow('commercetools unavailable');
+    expect(await documents.documents()).toEqual({ index: 'index' });
+    expect(documents.generate).toHaveBeenCalledTimes(2);
+  });
+
+  it('needs a generate method', async () => {
+    await expect(new CatalogDocuments({ catalog: {} }).documents()).rejects.toThrow(
+      'CatalogDocuments does not implement generate()'
+    );
+  });
+});
@@ -0,0 +1,58 @@
+/* eslint-env jest */
+/**
+ * Fake catalog with the query methods of the MCP server, for the generators
+ * of catalog documents. Slugs are localized so alternates between locales can
+ * be checked.
+ */
+
+const SLUGS = {
+  en: { women: 'women', bag: 'leather-bag' },
+  de: { women: 'damen', bag: 'ledertasche' },
+};
+
+const money = (centAmount, currencyCode) => ({
+  centAmount,
+  currencyCode,
+  fractionDigits: 2,
+});
+const PRICES = { DE: money(12999, 'EUR'), US: money(13999, 'USD') };
+
+// Every product has a price in US, the first pricedInGermany in DE too.
+// The first product is a bag, the others are named after their index.
+export const createCatalog = ({ products = 1, pricedInGermany = products } = {}) => ({
+  resolveContext: ({ country = 'DE', locale = 'en' }) => ({ country, locale }),
+  fetchCategories: jest.fn(async (options, { locale }) => ({
+    total: 1,
+    results: [
+      {
+        id: 'category-1',
+        name: 'Women',
+        slug: SLUGS[locale].women,
+        lastModifiedAt: '2024-05-01T10:00:00.000Z',
+      },
+    ],
+  })),
+  queryProducts: jest.fn(async ({ limit, offset = 0 }, { country, locale }) => {
+    const total = country === 'US' ? products : pricedInGermany;
+    return {
+      total,
+      results: Array.from(
+        { length: Math.max(0, Math.min(limit, total - offset)) },
+        (_, index) => ({
+          productId: `product-${offset + index}`,
+          name: offset + index ? `Product ${offset + index}` : 'Bag',
+          slug: offset + index ? `product-${offset + index}` : SLUGS[locale].bag,
+          description: offset + index ? '' : 'A leather bag.\n',
+          masterVariant: {
+            variantId: 1,
+            sku: `M0E${offset + index}`,
+            images: [],
+            attributesRaw: [],
+            scopedPrice: { value: PRICES[country], discounted: null, country },
+          },
+          lastModifiedAt: '2024-06-01T08:30:00.000Z',
+        })
+      ),
+    };
+  }),
+});
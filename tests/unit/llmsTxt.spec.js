@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for the llms.txt Generator
+ *
+ * Caching is covered by catalogDocuments.spec.js.
+ */
+
+import { LlmsTxtGenerator } from '@/services/llmsTxt';
+import { AIApiService } from '@/services/aiApiService';
+import { createCatalog } from './fixtures/catalog';
+
+const site = {
+  info: {
+    name: 'Sunrise Fashion',
+    description: 'Premium fashion',
+    type: 'e-commerce',
+    industry: 'fashion',
+    url: 'https://shop.example',
+    languages: ['en', 'de'],
+    countries: ['US', 'DE'],
+    currencies: ['USD', 'EUR'],
+    contact: {
+      supportEmail: 'support@shop.example',
+      businessHours: '9 AM - 6 PM CET',
+      timezone: 'Europe/Berlin',
+    },
+    policies: { shipping: 'Free shipping over €50', returns: '30-day return policy' },
+  },
+  structure: {
+    navigation: {
+      main: [{ name: 'Home', path: '/' }],
+      footer: [{ name: 'Returns', path: '/returns' }],
+    },
+  },
+};
+
+const createGenerator = (options = {}) => {
+  const catalog = createCatalog();
+  const generator = new LlmsTxtGenerator({
+    catalog,
+    loadSite: async () => site,
+    ...options,
+  });
+  return { generator, catalog };
+};
+
+describe('LlmsTxtGenerator', () => {
+  it('renders an index with sections, categories and products', async () => {
+    const { generator } = createGenerator();
+
+    const { index } = await generator.documents();
+
+    expect(index).toContain('# Sunrise Fashion\n\n> Premium fashion\n');
+    expect(index).toContain('## Sections\n- [Home](https://shop.example/)');
+    expect(index).toContain('- [Women](https://shop.example/DE/en/products/women)');
+    expect(index).toContain('- [Bag](https://shop.example/DE/en/product/leather-bag/M0E0): 129.99 EUR');
+    expect(index).toContain(
+      '- [Full catalog](https://shop.example/llms-full.txt): product descriptions, prices per country and policies'
+    );
+    expect(index).toContain('- [Returns](https://shop.example/returns)');
+  });
+
+  it('renders descriptions, prices per country and policies in full', async () => {
+    const { generator } = createGenerator();
+
+    const { full } = await generator.documents();
+
+    expect(full).toContain('- Shipping: Free shipping over €50\n- Returns: 30-day return policy');
+    expect(full).toContain(
+      [
+        '### Bag',
+        '',
+        '- SKU: M0E0',
+        '- URL: https://shop.example/DE/en/product/leather-bag/M0E0',
+        '- Price Deutschland: 129.99 EUR',
+        '- Price United States: 139.99 USD',
+        '',
+        'A leather bag.',
+      ].join('\n')
+    );
+  });
+
+  it('is served by the AI API as text', async () => {
+    const service = new AIApiService({ catalog: createCatalog() });
+
+    expect(await service.handleRequest('GET', '/llms.txt')).toMatch(/^# Sunrise Fashion/);
+    expect(await service.handleRequest('GET', '/llms-full.txt')).toContain('## Policies');
+    expect(service.endpoints.get('/llms.txt').contentType).toBe('text/plain; charset=utf-8');
+  });
+});
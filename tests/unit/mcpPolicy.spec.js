@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for the MCP Tool Policy
+ *
+ * The policy decides per client which tools may be called and keeps the
+ * rate limits of every session, time is injected so windows can be tested.
+ */
+
+import {
+  MCPToolPolicy,
+  READ_ONLY,
+  MUTATING,
+} from '@/services/mcpPolicy';
+
+const policyConfig = {
+  readOnlyTools: ['search_products', 'get_cart'],
+  clients: {
+    '*': { allow: ['read-only'] },
+    'trusted-agent': { allow: ['read-only', 'mutating'], deny: ['confirm_order'] },
+    'open-agent': {},
+  },
+  rateLimits: {
+    session: { max: 4, windowMs: 60000 },
+    tools: {
+      mutating: { max: 2, windowMs: 10000 },
+      add_to_cart: { max: 1, windowMs: 30000 },
+    },
+  },
+};
+
+const createPolicy = () => {
+  const clock = { now: 0 };
+  const policy = new MCPToolPolicy(policyConfig, { now: () => clock.now });
+  return { policy, clock };
+};
+
+describe('MCPToolPolicy', () => {
+  it('treats tools that are not listed as read-only as mutating', () => {
+    const { policy } = createPolicy();
+
+    expect(policy.classify('search_products')).toBe(READ_ONLY);
+    expect(policy.classify('add_to_cart')).toBe(MUTATING);
+    expect(policy.classify('some_new_tool')).toBe(MUTATING);
+  });
+
+  it('allows and denies tools per client', () => {
+    const { policy } = createPolicy();
+
+    expect(policy.isAllowed('get_cart', 'unknown')).toBe(true);
+    expect(policy.isAllowed('add_to_cart', 'unknown')).toBe(false);
+    expect(policy.isAllowed('add_to_cart', null)).toBe(false);
+    expect(policy.isAllowed('add_to_cart', 'trusted-agent')).toBe(true);
+    expect(policy.isAllowed('confirm_order', 'trusted-agent')).toBe(false);
+    expect(policy.isAllowed('confirm_order', 'open-agent')).toBe(true);
+  });
+
+  it('limits calls per tool and reports when to retry', () => {
+    const { policy, clock } = createPolicy();
+    const session = { id: 'session-1' };
+
+    expect(policy.consume('add_to_cart', session)).toBeNull();
+    clock.now = 5000;
+    expect(policy.consume('add_to_cart', session)).toEqual({
+      scope: 'tool add_to_cart',
+      max: 1,
+      windowMs: 30000,
+      retryAfter: 25,
+    });
+    expect(policy.consume('update_cart_item', session)).toBeNull();
+    expect(policy.consume('update_cart_item', session)).toBeNull();
+    expect(policy.consume('update_cart_item', session).retryAfter).toBe(10);
+    clock.now = 30000;
+    expect(policy.consume('add_to_cart', session)).toBeNull();
+  });
+
+  it('limits all calls of a session and keeps sessions apart', () => {
+    const { policy, clock } = createPolicy();
+    const session = { id: 'session-1' };
+    [0, 1, 2, 3].forEach((second) => {
+      clock.now = second * 1000;
+      expect(policy.consume('get_cart', session)).toBeNull();
+    });
+
+    expect(policy.consume('search_products', session)).toEqual(
+      expect.objectContaining({ scope: 'session', retryAfter: 57 })
+    );
+    expect(policy.consume('get_cart', { id: 'session-2' })).toBeNull();
+    clock.now = 60000;
+    expect(policy.consume('get_cart', session)).toBeNull();
+  });
+
+  it('counts the calls of a client or address over all its sessions', () => {
+    const { policy } = createPolicy();
+    const agent = (id) => ({ id, clientId: 'trusted-agent', remoteAddress: id });
+    const guest = (id) => ({ id, clientId: null, remoteAddress: '192.0.2.1' });
+
+    expect(policy.consume('add_to_cart', agent('session-1'))).toBeNull();
+    expect(policy.consume('add_to_cart', agent('session-2')).scope).toBe(
+      'tool add_to_cart'
+    );
+    expect(policy.consume('add_to_cart', guest('session-3'))).toBeNull();
+    expect(policy.consume('add_to_cart', guest('session-4')).scope).toBe(
+      'tool add_to_cart'
+    );
+  });
+
+  it('sweeps callers without calls in any window', () => {
+    const { policy, clock } = createPolicy();
+    policy.consume('get_cart', { id: 'session-1', clientId: 'trusted-agent' });
+    policy.consume('get_cart', { id: 'session-2', remoteAddress: '192.0.2.1' });
+
+    clock.now = 59999;
+    policy.sweep();
+    expect(policy.calls.size).toBe(2);
+    clock.now = 60000;
+    policy.sweep();
+    expect(policy.calls.size).toBe(0);
+  });
+
+  it('gives clients without an id the rules of all other clients', () => {
+    const policy = new MCPToolPolicy({
+      ...policyConfig,
+      clients: { ...policyConfig.clients, null: {} },
+    });
+
+    expect(policy.isAllowed('add_to_cart', null)).toBe(false);
+  });
+});
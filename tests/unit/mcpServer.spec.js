@@ -0,0 +1,2350 @@
+/**
+ * Unit Tests for the MCP Server
+ *
+ * The server is created with a fake Apollo client so the tests can check
+ * which commercetools queries and mutations a tool call results in and
+ * how the results are shaped for agents.
+ */
+
+import {
+  MCPServer,
+  MCPHttpHandler,
+  JSONRPC_ERRORS,
+  CART_RESOURCE_URI,
+  MCPSessionStore,
+  createSession,
+  shouldNotifySession,
+  parseBudget,
+  MCPAuditLog,
+  redactArguments,
+} from '@/services/mcpServer';
+import { MCPToolPolicy } from '@/services/mcpPolicy';
+import { apolloClient } from '@/apollo';
+
+// Session of a client the transport trusts, the default policy only gives
+// unauthenticated clients the read-only tools
+const trustedSession = (id) => ({ ...createSession(id), clientId: 'stdio' });
+
+const money = (centAmount, currencyCode = 'EUR') => ({
+  centAmount,
+  currencyCode,
+  fractionDigits: 2,
+});
+const variant = (variantId, sku, attributes = {}) => ({
+  variantId,
+  sku,
+  images: [{ url: `https://images/${sku}.jpg` }],
+  attributesRaw: Object.entries(attributes).map(
+    ([name, value]) => ({ name, value })
+  ),
+  scopedPrice: { value: money(12999), discounted: null, country: 'DE' },
+});
+const product = {
+  productId: 'product-1',
+  name: 'Bag',
+  slug: 'bag',
+  masterVariant: variant(1, 'SKU-1', { color: 'black' }),
+  variants: [variant(2, 'SKU-2', { color: 'blue' })],
+};
+const shirt = {
+  productId: 'product-2',
+  name: 'Shirt',
+  slug: 'shirt',
+  masterVariant: variant(1, 'SHIRT-S', { size: 'S' }),
+  variants: [
+    variant(2, 'SHIRT-M', { size: 'M' }),
+    variant(3, 'SHIRT-L', { size: 'L' }),
+  ],
+};
+const lineItem = (sku, quantity) => ({
+  lineId: `line-${sku}`,
+  name: 'Bag',
+  quantity,
+  price: { value: money(12999), discounted: null },
+  totalPrice: money(12999 * quantity),
+  variant: { sku },
+});
+const activeCart = (lineItems) => ({
+  cartId: 'cart-1',
+  version: 3,
+  lineItems,
+  totalPrice: money(0),
+  taxedPrice: null,
+  shippingInfo: null,
+  discountCodes: [],
+  shippingAddress: { country: 'DE' },
+  billingAddress: null,
+});
+const order = {
+  id: 'order-1',
+  orderNumber: '1001',
+  createdAt: '2024-03-01T10:00:00.000Z',
+  orderState: 'Complete',
+  shipmentState: 'Shipped',
+  paymentState: 'Paid',
+  lineItems: [lineItem('SKU-1', 2), lineItem('SKU-2', 1)],
+  totalPrice: money(38997),
+  shippingInfo: null,
+  taxedPrice: null,
+  discountCodes: [],
+  shippingAddress: { firstName: 'Jane', city: 'Berlin', country: 'DE' },
+  billingAddress: null,
+  paymentInfo: { payments: [{ paymentStatus: { interfaceCode: 'paid' } }] },
+  returnInfo: [
+    {
+      items: [
+        {
+          lineItemId: 'line-SKU-1',
+          quantity: 1,
+          shipmentState: 'Returned',
+          paymentState: 'Refunded',
+        },
+      ],
+    },
+  ],
+};
+const applyAction = (cart, action) => {
+  const [[name, params]] = Object.entries(action);
+  switch (name) {
+    case 'addLineItem':
+      return {
+        ...cart,
+        lineItems: cart.lineItems.concat({
+          ...lineItem(params.sku, params.quantity),
+          ...(params.distributionChannel
+            ? { distributionChannel: params.distributionChannel }
+            : {}),
+        }),
+      };
+    case 'setLineItemDistributionChannel':
+      return {
+        ...cart,
+        lineItems: cart.lineItems.map((item) =>
+          item.lineId === params.lineItemId
+            ? { ...item, distributionChannel: params.distributionChannel }
+            : item
+        ),
+      };
+    case 'changeLineItemQuantity':
+      return {
+        ...cart,
+        lineItems: cart.lineItems.map((item) =>
+          item.lineId === params.lineItemId
+            ? { ...item, quantity: params.quantity }
+            : item
+        ),
+      };
+    case 'removeLineItem':
+      return {
+        ...cart,
+        lineItems: cart.lineItems.filter(
+          ({ lineId }) => lineId !== params.lineItemId
+        ),
+      };
+    case 'addDiscountCode':
+      return {
+        ...cart,
+        discountCodes: cart.discountCodes.concat({
+          discountCode: { codeId: 'code-1', code: params.code },
+        }),
+      };
+    case 'removeDiscountCode':
+      return {
+        ...cart,
+        discountCodes: cart.discountCodes.filter(
+          ({ discountCode }) =>
+            discountCode.codeId !== params.discountCode.id
+        ),
+      };
+    case 'setBillingAddress':
+      return { ...cart, billingAddress: params.address };
+    case 'setShippingAddress':
+      return { ...cart, shippingAddress: params.address };
+    case 'setShippingMethod':
+      return {
+        ...cart,
+        shippingInfo: {
+          shippingMethod: { methodId: params.shippingMethod.id },
+          price: money(500),
+        },
+      };
+    case 'addPayment':
+      return cart;
+    default:
+      throw new Error(`unexpected action ${name}`);
+  }
+};
+const customer = {
+  customerId: 'customer-1',
+  customerNumber: 'C-1',
+  version: 1,
+  email: 'jane@example.com',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  addresses: [
+    { addressId: 'address-1', firstName: 'Jane', city: 'Berlin', country: 'DE' },
+  ],
+  defaultShippingAddressId: 'address-1',
+  defaultBillingAddressId: null,
+};
+const applyCustomerAction = (current, action) => {
+  const [[name, params]] = Object.entries(action);
+  switch (name) {
+    case 'setFirstName':
+    case 'setLastName':
+    case 'changeEmail':
+      return { ...current, ...params };
+    case 'addAddress':
+      return {
+        ...current,
+        addresses: current.addresses.concat({
+          addressId: `address-${current.addresses.length + 1}`,
+          ...params.address,
+        }),
+      };
+    case 'changeAddress':
+      return {
+        ...current,
+        addresses: current.addresses.map((address) =>
+          address.addressId === params.addressId
+            ? { addressId: params.addressId, ...params.address }
+            : address
+        ),
+      };
+    case 'removeAddress':
+      return {
+        ...current,
+        addresses: current.addresses.filter(
+          ({ addressId }) => addressId !== params.addressId
+        ),
+      };
+    case 'setDefaultBillingAddress':
+      return { ...current, defaultBillingAddressId: params.addressId };
+    case 'setDefaultShippingAddress':
+      return { ...current, defaultShippingAddressId: params.addressId };
+    default:
+      throw new Error(`unexpected action ${name}`);
+  }
+};
+const operationName = (document) =>
+  document.definitions[0].name.value;
+
+const createClient = ({
+  products = [product],
+  cart = null,
+  orders = [order],
+  channels = [],
+} = {}) => {
+  const state = { cart, customer: null };
+  const client = {
+    state,
+    cache: {
+      evict: jest.fn(),
+      gc: jest.fn(),
+      reset: jest.fn(() => Promise.resolve()),
+    },
+    query: jest.fn(({ query, variables }) => {
+      switch (operationName(query)) {
+        case 'products': {
+          const sku = variables.filters
+            .map((f) => f?.model?.value)
+            .find((v) => v?.path === 'variants.sku');
+          const results = sku
+            ? products.filter((p) =>
+                [p.masterVariant]
+                  .concat(p.variants)
+                  .some((v) => sku.values.includes(v.sku))
+              )
+            : products;
+          return Promise.resolve({
+            data: {
+              productProjectionSearch: {
+                total: results.length,
+                results: results.slice(
+                  variables.offset,
+                  variables.offset + variables.limit
+                ),
+              },
+            },
+          });
+        }
+        case 'Channels': {
+          const id = variables.where.match(/^id = "(.*)"$/);
+          const results = id
+            ? channels.filter((channel) => channel.id === id[1])
+            : channels;
+          const offset = variables.offset || 0;
+          return Promise.resolve({
+            data: {
+              channels: {
+                total: results.length,
+                results: results.slice(
+                  offset,
+                  offset + (variables.limit || 20)
+                ),
+              },
+            },
+          });
+        }
+        case 'productTypes':
+          return Promise.resolve({
+            data: {
+              productTypes: {
+                results: [{ id: 'type-1', name: 'shirt' }],
+              },
+            },
+          });
+        case 'categories':
+          return Promise.resolve({
+            data: {
+              categories: {
+                total: 1,
+                results: [{ id: 'cat-1', slug: 'women', name: 'Women' }],
+              },
+            },
+          });
+        case 'myCart':
+          return Promise.resolve({
+            data: { myCart: { activeCart: state.cart } },
+          });
+        case 'MyOrders':
+          return Promise.resolve({
+            data: {
+              MyOrders: {
+                orders: {
+                  total: orders.length,
+                  results: orders.map(({ id, ...rest }) => ({
+                    orderId: id,
+                    ...rest,
+                  })),
+                },
+              },
+            },
+          });
+        case 'orderById':
+          return Promise.resolve({
+            data: {
+              me: {
+                order:
+                  orders.find(({ id }) => id === variables.id) || null,
+              },
+            },
+          });
+        case 'productFacets':
+          return Promise.resolve({
+            data: {
+              productProjectionSearch: {
+                facets: variables.facets.map(({ model }) => ({
+                  facet: model.terms.alias,
+                  value: {
+                    terms:
+                      model.terms.alias === 'size'
+                        ? [
+                            { term: 'S', productCount: 2 },
+                            { term: 'XS', productCount: 1 },
+                            { term: 'M', productCount: 5 },
+                          ]
+                        : [
+                            { term: 'casual', productCount: 3 },
+                            { term: 'business', productCount: 4 },
+                          ],
+                  },
+                })),
+              },
+            },
+          });
+        case 'queryMyCustomer':
+          return Promise.resolve({
+            data: { me: { customer: state.customer } },
+          });
+        case 'shippingMethods':
+          return Promise.resolve({
+            data: {
+              shippingMethodsByCart: [
+                { methodId: 'express', name: 'Express', isDefault: false },
+                { methodId: 'standard', name: 'Standard', isDefault: true },
+              ],
+            },
+          });
+        default:
+          return Promise.reject(new Error('unexpected query'));
+      }
+    }),
+    mutate: jest.fn(({ mutation, variables }) => {
+      switch (operationName(mutation)) {
+        case 'createCart':
+          state.cart = activeCart([]);
+          return Promise.resolve({
+            data: { createMyCart: { cartId: 'cart-1', version: 1 } },
+          });
+        case 'mutateCart': {
+          state.cart = {
+            ...variables.actions.reduce(applyAction, state.cart),
+            version: state.cart.version + 1,
+          };
+          return Promise.resolve({
+            data: {
+              updateMyCart: {
+                id: state.cart.cartId,
+                version: state.cart.version,
+                lineItems: state.cart.lineItems,
+              },
+            },
+          });
+        }
+        case 'deleteCart':
+          state.cart = null;
+          return Promise.resolve({ data: { deleteMyCart: { id: 'cart-1' } } });
+        case 'customerSignMeIn':
+          if (variables.draft.password !== 'secret') {
+            return Promise.reject(new Error('Account with the given credentials not found'));
+          }
+          state.customer = customer;
+          return Promise.resolve({
+            data: { customerSignMeIn: { customer } },
+          });
+        case 'updateMyCustomer':
+          state.customer = {
+            ...variables.actions.reduce(
+              applyCustomerAction,
+              state.customer
+            ),
+            version: state.customer.version + 1,
+          };
+          return Promise.resolve({
+            data: { updateMyCustomer: state.customer },
+          });
+        case 'createMyPayment':
+          return Promise.resolve({
+            data: {
+              createMyPayment: { paymentId: 'payment-1', version: 1 },
+            },
+          });
+        case 'createOrder':
+          state.cart = null;
+          return Promise.resolve({
+            data: {
+              createMyOrderFromCart: { cartId: 'order-1', version: 1 },
+            },
+          });
+        default:
+          return Promise.reject(new Error('unexpected mutation'));
+      }
+    }),
+  };
+  return client;
+};
+const parse = (result) => JSON.parse(result.content[0].text);
+const address = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  streetName: 'Main Street 1',
+  postalCode: '10115',
+  city: 'Berlin',
+  email: 'jane@example.com',
+};
+
+// jsdom has no Web Crypto, confirmation tokens need getRandomValues
+beforeAll(() => {
+  if (!global.crypto) {
+    global.crypto = require('crypto').webcrypto;
+  }
+});
+
+describe('MCPServer', () => {
+  it('searches products with the price selector of the requested country', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const result = parse(
+      await server.callTool('search_products', {
+        query: 'bag',
+        country: 'US',
+        locale: 'de',
+      })
+    );
+    const { variables } = client.query.mock.calls[0][0];
+
+    expect(variables.text).toBe('bag');
+    expect(variables.locale).toBe('de');
+    expect(variables.priceSelector).toEqual(
+      expect.objectContaining({ currency: 'USD', country: 'US' })
+    );
+    expect(result.total).toBe(1);
+    expect(result.results[0]).toEqual(
+      expect.objectContaining({
+        id: 'product-1',
+        sku: 'SKU-1',
+        url: '/US/de/product/bag/SKU-1',
+      })
+    );
+    expect(result.results[0].price.value.amount).toBe(129.99);
+  });
+
+  it('filters the search by category id', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    await server.callTool('search_products', {
+      query: 'bag',
+      category: 'women',
+    });
+    const { variables } = client.query.mock.calls[1][0];
+
+    expect(variables.filters).toContainEqual({
+      model: {
+        tree: {
+          path: 'categories.id',
+          rootValues: [],
+          subTreeValues: ['cat-1'],
+        },
+      },
+    });
+  });
+
+  it('escapes the category slug in the where predicate', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    await server.callTool('search_products', {
+      query: 'bag',
+      category: 'women") or slug(en="\\',
+    });
+    const { variables } = client.query.mock.calls[0][0];
+
+    expect(variables.where).toBe('slug(en="women\\") or slug(en=\\"\\\\")');
+  });
+
+  it('returns product variants for get_product', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = parse(
+      await server.callTool('get_product', { productId: 'SKU-2' })
+    );
+
+    expect(result.variants.map(({ sku }) => sku)).toEqual([
+      'SKU-1',
+      'SKU-2',
+    ]);
+    expect(result.variants[1].attributes).toEqual({ color: 'blue' });
+  });
+
+  it('reports an error when a product does not exist', async () => {
+    const server = new MCPServer({
+      client: createClient({ products: [] }),
+    });
+    const result = await server.callTool('get_product', {
+      productId: 'missing',
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Product missing not found');
+  });
+
+  it('creates a cart and adds the requested variant', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const result = parse(
+      await server.callTool('add_to_cart', {
+        productId: 'product-1',
+        variantId: 'SKU-2',
+        quantity: 2,
+      })
+    );
+    const mutations = client.mutate.mock.calls.map(([{ mutation }]) =>
+      operationName(mutation)
+    );
+
+    expect(mutations).toEqual(['createCart', 'mutateCart']);
+    expect(client.mutate.mock.calls[0][0].variables.draft).toEqual({
+      currency: 'EUR',
+      country: 'DE',
+      shippingAddress: { country: 'DE' },
+    });
+    expect(result.cart.items).toEqual([
+      expect.objectContaining({ sku: 'SKU-2', quantity: 2 }),
+    ]);
+    expect(result.cart.itemCount).toBe(2);
+    expect(client.cache.evict).toHaveBeenCalledWith({ id: 'activeCart' });
+  });
+
+  it('changes line item quantities by sku', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1), lineItem('SKU-2', 1)]),
+    });
+    const server = new MCPServer({ client });
+    const result = parse(
+      await server.callTool('update_cart_item', {
+        sku: 'SKU-2',
+        quantity: 3,
+      })
+    );
+
+    expect(client.mutate.mock.calls[0][0].variables.actions).toEqual([
+      { changeLineItemQuantity: { lineItemId: 'line-SKU-2', quantity: 3 } },
+    ]);
+    expect(result.cart.itemCount).toBe(4);
+  });
+
+  it('deletes the cart when the last line item is removed', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = new MCPServer({ client });
+    const result = parse(
+      await server.callTool('remove_cart_item', {
+        lineItemId: 'line-SKU-1',
+      })
+    );
+    const mutations = client.mutate.mock.calls.map(([{ mutation }]) =>
+      operationName(mutation)
+    );
+
+    expect(mutations).toEqual(['mutateCart', 'deleteCart']);
+    expect(result.cart).toBeNull();
+  });
+
+  it('applies and removes discount codes', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = new MCPServer({ client });
+    const applied = parse(
+      await server.callTool('apply_discount_code', { code: 'SUNRISE' })
+    );
+    const removed = parse(
+      await server.callTool('remove_discount_code', { code: 'SUNRISE' })
+    );
+
+    expect(applied.cart.discountCodes).toEqual([
+      { codeId: 'code-1', code: 'SUNRISE' },
+    ]);
+    expect(client.mutate.mock.calls[1][0].variables.actions).toEqual([
+      {
+        removeDiscountCode: {
+          discountCode: { id: 'code-1', typeId: 'discount-code' },
+        },
+      },
+    ]);
+    expect(removed.cart.discountCodes).toEqual([]);
+  });
+
+  it('reports cart tool errors when there is nothing to change', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const empty = await server.callTool('remove_cart_item', { sku: 'SKU-1' });
+
+    expect(empty.isError).toBe(true);
+    expect(empty.content[0].text).toContain('The shopping cart is empty');
+  });
+
+  it('rejects invalid tool arguments before calling commercetools', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const result = await server.callTool('add_to_cart', { quantity: 'two' });
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).violations).toEqual([
+      { path: 'productId', keyword: 'required', message: 'is required' },
+      {
+        path: 'quantity',
+        keyword: 'type',
+        message: 'must be integer, got string',
+      },
+    ]);
+    expect(client.query).not.toHaveBeenCalled();
+    expect(client.mutate).not.toHaveBeenCalled();
+  });
+
+  it('validates prompt arguments', async () => {
+    const server = new MCPServer({ client: createClient() });
+
+    await expect(server.getPrompt('style_advice', {})).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.INVALID_PARAMS,
+      data: {
+        violations: [
+          { path: 'occasion', keyword: 'required', message: 'is required' },
+        ],
+      },
+    });
+    expect(
+      (await server.getPrompt('recommend_products')).messages.pop().content
+        .type
+    ).toBe('text');
+  });
+
+  it('returns an empty cart when there is no active cart', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = parse(await server.callTool('get_cart', {}));
+
+    expect(result.items).toEqual([]);
+    expect(result.itemCount).toBe(0);
+  });
+});
+
+describe('MCPHttpHandler', () => {
+  const createHandler = () =>
+    new MCPHttpHandler(new MCPServer({ client: createClient() }));
+
+  it('answers JSON-RPC requests with the request id', async () => {
+    const response = await createHandler().handleJsonRpc({
+      jsonrpc: '2.0',
+      id: 7,
+      method: 'tools/call',
+      params: { name: 'get_product', arguments: { productId: 'SKU-1' } },
+    });
+
+    expect(response.jsonrpc).toBe('2.0');
+    expect(response.id).toBe(7);
+    expect(parse(response.result).sku).toBe('SKU-1');
+  });
+
+  it('returns standard error codes', async () => {
+    const handler = createHandler();
+    const [unknownMethod, unknownTool, missingName, invalid] =
+      await Promise.all([
+        handler.handleJsonRpc({ jsonrpc: '2.0', id: 1, method: 'nope' }),
+        handler.handleJsonRpc({
+          jsonrpc: '2.0',
+          id: 2,
+          method: 'tools/call',
+          params: { name: 'nope' },
+        }),
+        handler.handleJsonRpc({
+          jsonrpc: '2.0',
+          id: 3,
+          method: 'prompts/get',
+          params: {},
+        }),
+        handler.handleJsonRpc({ id: 4, method: 'tools/list' }),
+      ]);
+
+    expect(unknownMethod.error.code).toBe(
+      JSONRPC_ERRORS.METHOD_NOT_FOUND
+    );
+    expect(unknownTool.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    expect(missingName.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    expect(invalid).toEqual({
+      jsonrpc: '2.0',
+      id: 4,
+      error: { code: JSONRPC_ERRORS.INVALID_REQUEST, message: 'Invalid Request' },
+    });
+  });
+
+  it('handles batches and skips responses for notifications', async () => {
+    const handler = createHandler();
+    const responses = await handler.handleJsonRpc([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 'a', method: 'ping' },
+      { jsonrpc: '2.0', id: 'b', method: 'tools/list' },
+    ]);
+
+    expect(responses.map(({ id }) => id)).toEqual(['a', 'b']);
+    expect(responses[1].result.tools.length).toBeGreaterThan(0);
+    expect(
+      await handler.handleJsonRpc([
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+      ])
+    ).toBeNull();
+    expect((await handler.handleJsonRpc([])).error.code).toBe(
+      JSONRPC_ERRORS.INVALID_REQUEST
+    );
+  });
+
+  it('reports parse errors for malformed JSON', async () => {
+    const response = await createHandler().handleJsonRpc('{"jsonrpc":');
+
+    expect(response.id).toBeNull();
+    expect(response.error.code).toBe(JSONRPC_ERRORS.PARSE_ERROR);
+  });
+
+  it('keeps the legacy paths working', async () => {
+    const handler = createHandler();
+    const tools = await handler.handleRequest('POST', '/mcp/tools/list');
+    const unknown = await handler.handleRequest('POST', '/mcp/unknown');
+
+    expect(tools.tools.map(({ name }) => name)).toContain('get_cart');
+    expect(unknown.error.message).toBe('Unknown MCP endpoint: /mcp/unknown');
+  });
+});
+
+describe('MCP notifications', () => {
+  it('notifies listeners when the cart changes', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const listener = jest.fn();
+    server.addNotificationListener(listener);
+    await server.callTool('add_to_cart', { productId: 'SKU-1' });
+
+    expect(listener.mock.calls[0][0]).toEqual({
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri: CART_RESOURCE_URI },
+    });
+  });
+
+  it('notifies when the tool list changes', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const listener = jest.fn();
+    const removeListener = server.addNotificationListener(listener);
+    server.setToolEnabled('add_to_cart', false);
+    server.setToolEnabled('add_to_cart', false);
+    const { tools } = await server.listTools();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].method).toBe(
+      'notifications/tools/list_changed'
+    );
+    expect(tools.map(({ name }) => name)).not.toContain('add_to_cart');
+    await expect(
+      server.callTool('add_to_cart', { productId: 'SKU-1' })
+    ).rejects.toMatchObject({ code: JSONRPC_ERRORS.INVALID_PARAMS });
+    removeListener();
+    server.setToolEnabled('add_to_cart', true);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('only sends resource updates to subscribed sessions', async () => {
+    const handler = new MCPHttpHandler(
+      new MCPServer({ client: createClient() })
+    );
+    const session = trustedSession('session-1');
+    const message = {
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri: CART_RESOURCE_URI },
+    };
+
+    expect(shouldNotifySession(session, message)).toBe(false);
+    await handler.handleJsonRpc(
+      {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'resources/subscribe',
+        params: { uri: CART_RESOURCE_URI },
+      },
+      { session }
+    );
+    expect(shouldNotifySession(session, message)).toBe(true);
+    expect(
+      (
+        await handler.handleJsonRpc({
+          jsonrpc: '2.0',
+          id: 2,
+          method: 'resources/subscribe',
+          params: { uri: CART_RESOURCE_URI },
+        })
+      ).error.code
+    ).toBe(JSONRPC_ERRORS.INVALID_REQUEST);
+  });
+});
+
+describe('MCP checkout', () => {
+  let session;
+  beforeEach(() => {
+    session = trustedSession('session-1');
+  });
+  const checkoutServer = (client, options = {}) =>
+    new MCPServer({ client, createSessionClient: () => client, ...options });
+  const prepare = async (server, args = {}, caller = session) =>
+    parse(
+      await server.callTool(
+        'prepare_checkout',
+        { billingAddress: address, ...args },
+        caller
+      )
+    );
+
+  it('prepares the cart and returns a summary without ordering', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 2)]),
+    });
+    const server = checkoutServer(client);
+    const result = await prepare(server);
+    const mutations = client.mutate.mock.calls.map(([{ mutation }]) =>
+      operationName(mutation)
+    );
+
+    expect(mutations).toEqual(['mutateCart']);
+    expect(client.state.cart.billingAddress).toEqual({
+      ...address,
+      country: 'DE',
+    });
+    expect(client.state.cart.shippingAddress).toEqual({
+      ...address,
+      country: 'DE',
+    });
+    expect(result.shippingMethod.id).toBe('standard');
+    expect(result.cart.itemCount).toBe(2);
+    expect(result.confirmationToken).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  it('places the order with a valid confirmation token', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = checkoutServer(client);
+    const { confirmationToken } = await prepare(server, {
+      paymentMethod: 'paypal',
+    });
+    const result = parse(
+      await server.callTool('confirm_order', { confirmationToken }, session)
+    );
+    const [payment] = client.mutate.mock.calls
+      .map(([call]) => call)
+      .filter(({ mutation }) => operationName(mutation) === 'createMyPayment');
+
+    expect(payment.variables.draft.paymentMethodInfo.method).toBe('paypal');
+    expect(result.orderId).toBe('order-1');
+    expect(client.state.cart).toBeNull();
+
+    const reused = await server.callTool(
+      'confirm_order',
+      { confirmationToken },
+      session
+    );
+    expect(reused.isError).toBe(true);
+  });
+
+  it('rejects the confirmation once the cart changed', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = checkoutServer(client);
+    const { confirmationToken } = await prepare(server);
+    await server.callTool(
+      'update_cart_item',
+      { sku: 'SKU-1', quantity: 5 },
+      session
+    );
+    const result = await server.callTool(
+      'confirm_order',
+      { confirmationToken },
+      session
+    );
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('The cart changed');
+    expect(
+      client.mutate.mock.calls.some(
+        ([{ mutation }]) => operationName(mutation) === 'createOrder'
+      )
+    ).toBe(false);
+  });
+
+  it('rejects expired confirmation tokens', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = checkoutServer(client, { checkoutTtl: 0 });
+    const { confirmationToken } = await prepare(server);
+    const result = await server.callTool(
+      'confirm_order',
+      { confirmationToken },
+      session
+    );
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('expired');
+  });
+
+  it('binds the confirmation to the session that prepared it', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = checkoutServer(client);
+    const { confirmationToken } = await prepare(server);
+    const confirm = (caller) =>
+      server.callTool('confirm_order', { confirmationToken }, caller);
+
+    expect((await confirm(undefined)).content[0].text).toContain(
+      'needs a session'
+    );
+    expect((await confirm(trustedSession('session-2'))).isError).toBe(true);
+    expect(
+      (await server.callTool('prepare_checkout', { billingAddress: address }))
+        .isError
+    ).toBe(true);
+    expect(server.checkoutConfirmations.size).toBe(1);
+  });
+
+  it('keeps only the latest unexpired confirmation of a session', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = checkoutServer(client, { checkoutTtl: 0 });
+    await prepare(server, {}, trustedSession('session-2'));
+    await prepare(server);
+    const { confirmationToken } = await prepare(server);
+
+    expect(Array.from(server.checkoutConfirmations.keys())).toEqual([
+      confirmationToken,
+    ]);
+  });
+
+  it('rejects unavailable shipping methods', async () => {
+    const server = checkoutServer(
+      createClient({ cart: activeCart([lineItem('SKU-1', 1)]) })
+    );
+    const result = await server.callTool(
+      'prepare_checkout',
+      { billingAddress: address, shippingMethodId: 'drone' },
+      session
+    );
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('drone');
+  });
+});
+
+describe('MCP orders', () => {
+  it('lists orders with state and date filters', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const result = parse(
+      await server.callTool('list_orders', {
+        state: 'Complete',
+        createdFrom: '2024-01-01',
+        limit: 5,
+      })
+    );
+    const { variables } = client.query.mock.calls[0][0];
+
+    expect(variables).toEqual({
+      limit: 5,
+      offset: 0,
+      where:
+        'orderState = "Complete" and createdAt >= "2024-01-01T00:00:00.000Z"',
+    });
+    expect(result.total).toBe(1);
+    expect(result.orders[0]).toEqual(
+      expect.objectContaining({
+        id: 'order-1',
+        orderNumber: '1001',
+        shipmentState: 'Shipped',
+        payments: ['paid'],
+        uri: 'sunrise://order/order-1',
+      })
+    );
+  });
+
+  it('rejects invalid date filters', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = await server.callTool('list_orders', {
+      createdTo: 'yesterday',
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('createdTo');
+  });
+
+  it('returns order details with returned items taken off', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = parse(
+      await server.callTool('get_order', { orderId: 'order-1' })
+    );
+
+    expect(result.items.map(({ sku, quantity }) => [sku, quantity])).toEqual([
+      ['SKU-1', 1],
+      ['SKU-2', 1],
+    ]);
+    expect(result.returnedItems).toEqual([
+      expect.objectContaining({
+        sku: 'SKU-1',
+        quantity: 1,
+        shipmentState: 'Returned',
+        paymentState: 'Refunded',
+      }),
+    ]);
+    expect(result.shippingAddress.city).toBe('Berlin');
+  });
+
+  it('reads orders through the resource template', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const handler = new MCPHttpHandler(server);
+    const templates = await handler.dispatch('resources/templates/list');
+    const { contents } = await server.readResource('sunrise://order/order-1');
+
+    expect(
+      templates.resourceTemplates.filter(({ name }) => name.startsWith('Order'))
+    ).toEqual([expect.objectContaining({ uriTemplate: 'sunrise://order/{id}' })]);
+    expect(JSON.parse(contents[0].text).orderNumber).toBe('1001');
+    await expect(
+      server.readResource('sunrise://order/unknown')
+    ).rejects.toMatchObject({ code: JSONRPC_ERRORS.RESOURCE_NOT_FOUND });
+  });
+});
+
+describe('MCP resource templates', () => {
+  it('lists product, category and order templates', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const { resourceTemplates } = await server.listResourceTemplates();
+
+    expect(resourceTemplates.map(({ uriTemplate }) => uriTemplate)).toEqual(
+      expect.arrayContaining([
+        'sunrise://product/{sku}',
+        'sunrise://category/{slug}',
+        'sunrise://order/{id}',
+      ])
+    );
+  });
+
+  it('matches URIs and decodes their parameters', () => {
+    const server = new MCPServer({ client: createClient() });
+
+    expect(server.matchResourceTemplate('sunrise://product/SKU%201')).toEqual({
+      key: 'product',
+      params: { sku: 'SKU 1' },
+    });
+    expect(server.matchResourceTemplate('sunrise://product/a/b')).toBeNull();
+    expect(server.matchResourceTemplate('sunrise://cart/current')).toBeNull();
+  });
+
+  it('reads a product as JSON and markdown', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const { contents } = await server.readResource('sunrise://product/SKU-1');
+
+    expect(contents.map(({ mimeType }) => mimeType)).toEqual([
+      'application/json',
+      'text/markdown',
+    ]);
+    expect(JSON.parse(contents[0].text).sku).toBe('SKU-1');
+    expect(contents[1].text).toContain('# Bag');
+    expect(contents[1].text).toContain('| SKU-2 | 129.99 EUR | color: blue |');
+  });
+
+  it('reads a category with its products', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const { contents } = await server.readResource(
+      'sunrise://category/women'
+    );
+    const data = JSON.parse(contents[0].text);
+
+    expect(data).toEqual(
+      expect.objectContaining({ id: 'cat-1', slug: 'women', total: 1 })
+    );
+    expect(data.products[0].sku).toBe('SKU-1');
+    expect(contents[1].text).toContain('# Women');
+  });
+
+  it('renders orders with their returned items', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const { contents } = await server.readResource('sunrise://order/order-1');
+
+    expect(contents[1].text).toContain('# Order 1001');
+    expect(contents[1].text).toContain('## Returned items');
+  });
+
+  it('answers unknown template values with resource not found', async () => {
+    const client = createClient({ products: [] });
+    const server = new MCPServer({ client });
+
+    await expect(
+      server.readResource('sunrise://product/missing')
+    ).rejects.toMatchObject({ code: JSONRPC_ERRORS.RESOURCE_NOT_FOUND });
+  });
+});
+
+describe('MCP sessions', () => {
+  const sessionServer = () => {
+    const clients = new Map();
+    const server = new MCPServer({
+      client: createClient(),
+      createSessionClient: (session) => {
+        clients.set(session.id, createClient());
+        return clients.get(session.id);
+      },
+    });
+    return { server, clients };
+  };
+
+  it('gives every session its own client and cart', async () => {
+    const { server, clients } = sessionServer();
+    const first = trustedSession('session-1');
+    const second = trustedSession('session-2');
+    await server.callTool('add_to_cart', { productId: 'SKU-1' }, first);
+    await server.callTool('add_to_cart', { productId: 'SKU-2' }, second);
+    await server.callTool('add_to_cart', { productId: 'SKU-2' }, second);
+    const cart = parse(await server.callTool('get_cart', {}, first));
+
+    expect(clients.size).toBe(2);
+    expect(cart.items.map(({ sku }) => sku)).toEqual(['SKU-1']);
+    expect(clients.get('session-2').state.cart.lineItems).toHaveLength(2);
+    expect(first.cartId).toBe('cart-1');
+    expect(server.client.query).not.toHaveBeenCalled();
+  });
+
+  it('reads the catalog without a session through one anonymous client', async () => {
+    const clients = [];
+    const server = new MCPServer({
+      client: null,
+      createSessionClient: () => {
+        clients.push(createClient());
+        return clients[clients.length - 1];
+      },
+    });
+    await server.callTool('get_product', { productId: 'SKU-1' });
+    await server.callTool('search_products', { query: 'bag' });
+    const result = await server.callTool('get_cart', {});
+
+    expect(clients).toHaveLength(1);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('get_cart needs a session');
+    await expect(
+      server.callTool('add_to_cart', { productId: 'SKU-1' })
+    ).rejects.toMatchObject({ code: JSONRPC_ERRORS.TOOL_NOT_ALLOWED });
+    expect(clients[0].mutate).not.toHaveBeenCalled();
+  });
+
+  it('uses the storefront client without a session in the browser', () => {
+    expect(new MCPServer().client).toBe(apolloClient);
+  });
+
+  it('reports the session in the user session resource', async () => {
+    const { server } = sessionServer();
+    const session = trustedSession('session-1');
+    const { contents } = await server.readResource(
+      'sunrise://session/user',
+      session
+    );
+
+    expect(JSON.parse(contents[0].text)).toEqual(
+      expect.objectContaining({
+        sessionId: 'session-1',
+        cartId: null,
+        isAuthenticated: false,
+      })
+    );
+  });
+
+  it('only sends cart updates to the session that changed the cart', async () => {
+    const { server } = sessionServer();
+    const first = trustedSession('session-1');
+    const second = trustedSession('session-2');
+    first.subscriptions.add(CART_RESOURCE_URI);
+    second.subscriptions.add(CART_RESOURCE_URI);
+    const listener = jest.fn();
+    server.addNotificationListener(listener);
+    await server.callTool('add_to_cart', { productId: 'SKU-1' }, first);
+    const [message, origin] = listener.mock.calls[0];
+
+    expect(shouldNotifySession(first, message, origin)).toBe(true);
+    expect(shouldNotifySession(second, message, origin)).toBe(false);
+  });
+
+  it('does not accept checkout confirmations from other sessions', async () => {
+    const { server, clients } = sessionServer();
+    const first = trustedSession('session-1');
+    await server.callTool('add_to_cart', { productId: 'SKU-1' }, first);
+    const { confirmationToken } = parse(
+      await server.callTool(
+        'prepare_checkout',
+        { billingAddress: address },
+        first
+      )
+    );
+    const result = await server.callTool(
+      'confirm_order',
+      { confirmationToken },
+      trustedSession('session-2')
+    );
+
+    expect(result.isError).toBe(true);
+    expect(clients.get('session-1').state.cart).not.toBeNull();
+  });
+
+  it('expires sessions after inactivity', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const onExpire = jest.fn();
+    const store = new MCPSessionStore({ ttl: 100, onExpire });
+    const idle = store.create('idle');
+    store.create('active');
+
+    now.mockReturnValue(1050);
+    expect(store.get('active')).not.toBeNull();
+    now.mockReturnValue(1120);
+    store.sweep();
+
+    expect(onExpire).toHaveBeenCalledWith(idle);
+    expect(store.get('idle')).toBeNull();
+    expect(store.get('active')).not.toBeNull();
+    now.mockRestore();
+  });
+});
+
+describe('MCP customer accounts', () => {
+  const signedIn = async (options = {}) => {
+    const client = createClient(options);
+    const server = new MCPServer({
+      client: createClient(),
+      createSessionClient: () => client,
+    });
+    const session = trustedSession('session-1');
+    session.auth = {
+      loginToken: jest.fn(() => Promise.resolve()),
+      logout: jest.fn(),
+    };
+    const result = await server.callTool(
+      'sign_in',
+      { email: 'jane@example.com', password: 'secret' },
+      session
+    );
+    return { client, server, session, result };
+  };
+
+  it('signs in within the session and keeps the merged cart', async () => {
+    const { client, session, result } = await signedIn({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const data = parse(result);
+
+    expect(session.auth.loginToken).toHaveBeenCalledWith(
+      'jane@example.com',
+      'secret'
+    );
+    expect(client.cache.reset).toHaveBeenCalled();
+    expect(session.customer.customerId).toBe('customer-1');
+    expect(data.customer.addresses[0]).toEqual(
+      expect.objectContaining({
+        id: 'address-1',
+        isDefaultShipping: true,
+        isDefaultBilling: false,
+      })
+    );
+    expect(data.cart.itemCount).toBe(1);
+  });
+
+  it('reports failed sign ins and needs a session', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const session = trustedSession('session-1');
+    session.auth = { loginToken: jest.fn() };
+    const wrong = await server.callTool(
+      'sign_in',
+      { email: 'jane@example.com', password: 'wrong' },
+      session
+    );
+    const sessionless = await server.callTool('sign_in', {
+      email: 'jane@example.com',
+      password: 'secret',
+    });
+
+    expect(wrong.isError).toBe(true);
+    expect(session.auth.loginToken).not.toHaveBeenCalled();
+    expect(session.customer).toBeNull();
+    expect(sessionless.content[0].text).toContain('needs a session');
+  });
+
+  it('returns the guest state until a customer signs in', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = parse(
+      await server.callTool('get_user_info', {}, trustedSession('session-1'))
+    );
+
+    expect(result.isAuthenticated).toBe(false);
+  });
+
+  it('updates only the given profile fields', async () => {
+    const { client, server, session } = await signedIn();
+    const result = parse(
+      await server.callTool('update_profile', { firstName: 'Janet' }, session)
+    );
+    const update = client.mutate.mock.calls
+      .map(([call]) => call)
+      .find(({ mutation }) => operationName(mutation) === 'updateMyCustomer');
+
+    expect(update.variables).toEqual({
+      actions: [{ setFirstName: { firstName: 'Janet' } }],
+      version: 1,
+    });
+    expect(result.customer.firstName).toBe('Janet');
+  });
+
+  it('manages the address book', async () => {
+    const { server, session } = await signedIn();
+    const added = parse(
+      await server.callTool(
+        'add_address',
+        {
+          address: {
+            firstName: 'Jane',
+            lastName: 'Doe',
+            streetName: 'Side Street 2',
+            postalCode: '80331',
+            city: 'Munich',
+            country: 'DE',
+          },
+          defaultBilling: true,
+        },
+        session
+      )
+    );
+    const removed = parse(
+      await server.callTool(
+        'remove_address',
+        { addressId: 'address-1' },
+        session
+      )
+    );
+
+    expect(added.addressId).toBe('address-2');
+    expect(
+      added.customer.addresses.find(({ id }) => id === 'address-2')
+    ).toEqual(expect.objectContaining({ city: 'Munich', isDefaultBilling: true }));
+    expect(removed.customer.addresses.map(({ id }) => id)).toEqual([
+      'address-2',
+    ]);
+  });
+
+  it('signs out and continues as a guest', async () => {
+    const { client, server, session } = await signedIn();
+    await server.callTool('sign_out', {}, session);
+    const result = await server.callTool('update_profile', { lastName: 'X' }, session);
+
+    expect(session.auth.logout).toHaveBeenCalled();
+    expect(client.cache.reset).toHaveBeenCalledTimes(2);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('sign_in');
+  });
+});
+
+describe('MCP prompts', () => {
+  it('reads budgets into cent ranges', () => {
+    expect(parseBudget('50-150')).toEqual({ from: 5000, to: 15000 });
+    expect(parseBudget('under 80 EUR')).toEqual({ from: 0, to: 8000 });
+    expect(parseBudget('over 99.50')).toEqual({ from: 9950, to: null });
+    expect(parseBudget('cheap')).toBeNull();
+  });
+
+  it('embeds matching products and the cart in recommendations', async () => {
+    const client = createClient({
+      cart: activeCart([lineItem('SKU-1', 1)]),
+    });
+    const server = new MCPServer({ client });
+    const { messages } = await server.getPrompt('recommend_products', {
+      category: 'women',
+      budget: '50-150',
+    });
+    const productQuery = client.query.mock.calls
+      .map(([call]) => call)
+      .find(({ query }) => operationName(query) === 'products');
+    const resources = messages
+      .filter(({ content }) => content.type === 'resource')
+      .map(({ content }) => content.resource);
+
+    expect(productQuery.variables.filters).toContainEqual({
+      model: {
+        range: {
+          path: 'variants.scopedPrice.value.centAmount',
+          ranges: [{ from: '5000', to: '15000' }],
+        },
+      },
+    });
+    expect(resources.map(({ uri }) => uri)).toEqual([
+      'sunrise://product/SKU-1',
+      CART_RESOURCE_URI,
+    ]);
+    expect(resources[0].text).toContain('# Bag');
+    expect(messages.pop().content.text).toContain('Budget range: 50-150');
+  });
+
+  it('lists the available sizes from the size attributes', async () => {
+    const client = createClient({ products: [shirt] });
+    const server = new MCPServer({ client });
+    const { messages } = await server.getPrompt('size_guide', {
+      product_type: 'Shirt',
+    });
+    const { variables } = client.query.mock.calls[1][0];
+
+    expect(variables.text).toBe('');
+    expect(variables.filters).toContainEqual({
+      model: { value: { path: 'productType.id', values: ['type-1'] } },
+    });
+    expect(messages.pop().content.text).toContain('- Size available: S, M, L');
+    expect(messages[0].content.resource.uri).toBe('sunrise://product/SHIRT-S');
+  });
+});
+
+describe('MCP completions', () => {
+  const complete = (server, ref, name, value) =>
+    server.complete({ ref, argument: { name, value } });
+
+  it('completes category slugs and caches the category tree', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const ref = { type: 'ref/prompt', name: 'recommend_products' };
+    const first = await complete(server, ref, 'category', 'wo');
+    const second = await complete(server, ref, 'category', 'x');
+
+    expect(first.completion).toEqual({
+      values: ['women'],
+      total: 1,
+      hasMore: false,
+    });
+    expect(second.completion.values).toEqual([]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('completes sizes and occasions from attribute facets', async () => {
+    const client = createClient();
+    const server = new MCPServer({ client });
+    const sizes = await complete(
+      server,
+      { type: 'ref/prompt', name: 'size_guide' },
+      'size',
+      's'
+    );
+    const occasions = await complete(
+      server,
+      { type: 'ref/prompt', name: 'style_advice' },
+      'occasion',
+      ''
+    );
+    const facetPaths = client.query.mock.calls.map(
+      ([{ variables }]) => variables.facets[0].model.terms.path
+    );
+
+    expect(sizes.completion.values).toEqual(['S', 'XS']);
+    expect(occasions.completion.values).toEqual(['business', 'casual']);
+    expect(facetPaths).toEqual([
+      'variants.attributes.size',
+      'variants.attributes.style.key',
+    ]);
+  });
+
+  it('completes product type names', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = await complete(
+      server,
+      { type: 'ref/prompt', name: 'size_guide' },
+      'product_type',
+      'sh'
+    );
+
+    expect(result.completion.values).toEqual(['shirt']);
+  });
+
+  it('completes SKUs of resource templates', async () => {
+    const server = new MCPServer({ client: createClient() });
+    const result = await complete(
+      server,
+      { type: 'ref/resource', uri: 'sunrise://product/{sku}' },
+      'sku',
+      'sku-2'
+    );
+
+    expect(result.completion.values).toEqual(['SKU-2']);
+  });
+
+  it('rejects unknown references and ignores arguments without a source', async () => {
+    const handler = new MCPHttpHandler(
+      new MCPServer({ client: createClient() })
+    );
+    const unknown = await handler.handleJsonRpc({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'completion/complete',
+      params: {
+        ref: { type: 'ref/prompt', name: 'nope' },
+        argument: { name: 'category', value: '' },
+      },
+    });
+    const free = await handler.dispatch('completion/complete', {
+      ref: { type: 'ref/prompt', name: 'size_guide' },
+      argument: { name: 'measurements', value: '9' },
+    });
+
+    expect(unknown.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    expect(free.completion.values).toEqual([]);
+  });
+});
+
+describe('MCP pagination', () => {
+  const pages = async (list, key) => {
+    const items = [];
+    let cursor;
+    do {
+      const page = await list({ cursor });
+      items.push(...page[key]);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return items;
+  };
+
+  it('pages the list methods with opaque cursors', async () => {
+    const server = new MCPServer({ client: createClient(), pageSize: 2 });
+    const first = await server.listTools();
+    const tools = await pages((params) => server.listTools(params), 'tools');
+    const prompts = await server.listPrompts();
+
+    expect(first.tools).toHaveLength(2);
+    expect(typeof first.nextCursor).toBe('string');
+    expect(tools.map(({ name }) => name)).toEqual(
+      Array.from(server.tools.keys())
+    );
+    expect(
+      await pages((params) => server.listPrompts(params), 'prompts')
+    ).toHaveLength(server.prompts.size);
+    expect(prompts.prompts).toHaveLength(2);
+    expect(
+      (await new MCPServer({ client: createClient() }).listTools()).nextCursor
+    ).toBeUndefined();
+  });
+
+  it('rejects cursors of another list', async () => {
+    const handler = new MCPHttpHandler(
+      new MCPServer({ client: createClient(), pageSize: 1 })
+    );
+    const { nextCursor } = await handler.dispatch('tools/list', {});
+    const [wrongList, garbage] = await Promise.all([
+      handler.handleJsonRpc({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'prompts/list',
+        params: { cursor: nextCursor },
+      }),
+      handler.handleJsonRpc({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'resources/templates/list',
+        params: { cursor: 'not a cursor' },
+      }),
+    ]);
+
+    expect(wrongList.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    expect(garbage.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+  });
+
+  it('continues a product search with nextCursor', async () => {
+    const server = new MCPServer({
+      client: createClient({ products: [product, shirt, product] }),
+    });
+    const first = parse(
+      await server.callTool('search_products', { query: 'a', limit: 2 })
+    );
+    const second = parse(
+      await server.callTool('search_products', {
+        query: 'a',
+        cursor: first.nextCursor,
+      })
+    );
+    const other = await server.callTool('search_products', {
+      query: 'b',
+      cursor: first.nextCursor,
+    });
+
+    expect(first.results).toHaveLength(2);
+    expect(first.total).toBe(3);
+    expect(second.offset).toBe(2);
+    expect(second.results).toHaveLength(1);
+    expect(second.nextCursor).toBeUndefined();
+    expect(other.isError).toBe(true);
+    expect(other.content[0].text).toContain('Invalid cursor');
+  });
+});
+
+describe('MCP audit log', () => {
+  const auditedServer = () => {
+    const sink = jest.fn();
+    const auditLog = new MCPAuditLog();
+    auditLog.addSink(sink);
+    const server = new MCPServer({
+      client: createClient(),
+      createSessionClient: () => createClient(),
+      auditLog,
+    });
+    return { server, sink, auditLog };
+  };
+
+  it('records tool calls with outcome, duration and cart version', async () => {
+    const { server, sink, auditLog } = auditedServer();
+    const session = trustedSession('session-1');
+    await server.callTool('add_to_cart', { productId: 'SKU-1' }, session);
+    await server.callTool('get_product', {}, session);
+    const [added, invalid] = auditLog.trail('session-1');
+
+    expect(added).toEqual(
+      expect.objectContaining({
+        sessionId: 'session-1',
+        method: 'tools/call',
+        name: 'add_to_cart',
+        arguments: { productId: 'SKU-1' },
+        outcome: 'success',
+        cartVersion: session.cartVersion,
+      })
+    );
+    expect(added.cartVersion).toEqual(expect.any(Number));
+    expect(added.durationMs).toBeGreaterThanOrEqual(0);
+    expect(invalid.outcome).toBe('error');
+    expect(invalid.error).toContain('Invalid arguments for tool get_product');
+    expect(sink).toHaveBeenCalledTimes(2);
+  });
+
+  it('records resource reads and prompts, including protocol errors', async () => {
+    const { server, auditLog } = auditedServer();
+    const session = trustedSession('session-1');
+    await server.readResource('sunrise://config/site', session);
+    await expect(
+      server.getPrompt('nope', {}, session)
+    ).rejects.toThrow('Prompt nope not found');
+
+    expect(
+      auditLog.trail('session-1').map(({ method, name, outcome }) => [
+        method,
+        name,
+        outcome,
+      ])
+    ).toEqual([
+      ['resources/read', 'sunrise://config/site', 'success'],
+      ['prompts/get', 'nope', 'error'],
+    ]);
+    expect(auditLog.trail('session-2')).toEqual([]);
+  });
+
+  it('redacts personal data in the arguments', () => {
+    expect(
+      redactArguments({
+        email: 'jen@example.com',
+        password: 'secret',
+        billingAddress: { ...address, city: 'Berlin' },
+        paymentMethod: 'card',
+      })
+    ).toEqual({
+      email: '[redacted]',
+      password: '[redacted]',
+      billingAddress: expect.objectContaining({
+        firstName: '[redacted]',
+        streetName: '[redacted]',
+        city: '[redacted]',
+      }),
+      paymentMethod: 'card',
+    });
+  });
+
+  it('keeps a bounded trail per session and survives failing sinks', () => {
+    const onError = jest.fn();
+    const auditLog = new MCPAuditLog({ limit: 2, onError });
+    auditLog.addSink(() => {
+      throw new Error('disk full');
+    });
+    [1, 2, 3].forEach((durationMs) =>
+      auditLog.record({ sessionId: 'session-1', durationMs })
+    );
+    auditLog.record({ sessionId: null, durationMs: 4 });
+
+    expect(
+      auditLog.trail('session-1').map(({ durationMs }) => durationMs)
+    ).toEqual([2, 3]);
+    expect(onError).toHaveBeenCalledTimes(4);
+    auditLog.forget('session-1');
+    expect(auditLog.trail('session-1')).toEqual([]);
+  });
+});
+
+describe('MCP tool policy', () => {
+  const policyHandler = () => {
+    const server = new MCPServer({
+      client: createClient(),
+      createSessionClient: () => createClient(),
+      policy: new MCPToolPolicy({
+        readOnlyTools: ['get_product', 'get_cart'],
+        clients: {
+          '*': { allow: ['read-only'] },
+          'shop-agent': { deny: ['confirm_order'] },
+          storefront: { deny: ['sign_in'] },
+        },
+        rateLimits: {
+          tools: { add_to_cart: { max: 1, windowMs: 60000 } },
+        },
+      }),
+    });
+    return new MCPHttpHandler(server);
+  };
+  // The transport sets the client id of an authenticated client
+  const initialize = (handler, clientId) => {
+    const session = { ...createSession(`session-${clientId}`), clientId };
+    return handler
+      .dispatch('initialize', { clientInfo: { name: clientId } }, { session })
+      .then(() => session);
+  };
+
+  it('lists only the tools a client may call', async () => {
+    const handler = policyHandler();
+    const guest = await initialize(handler, 'unknown-agent');
+    const agent = await initialize(handler, 'shop-agent');
+    const names = async (session) =>
+      (await handler.dispatch('tools/list', {}, { session })).tools.map(
+        ({ name }) => name
+      );
+    const { tools } = await handler.dispatch('tools/list', {}, { session: agent });
+
+    expect(await names(guest)).toEqual(['get_product', 'get_cart']);
+    expect(await names(agent)).toContain('add_to_cart');
+    expect(await names(agent)).not.toContain('confirm_order');
+    expect(tools.find(({ name }) => name === 'get_cart').annotations).toEqual({
+      readOnlyHint: true,
+    });
+    expect(tools.find(({ name }) => name === 'add_to_cart').annotations).toEqual({
+      readOnlyHint: false,
+    });
+  });
+
+  it('does not trust the client name sent with initialize', async () => {
+    const handler = policyHandler();
+    const session = createSession('session-1');
+    await handler.dispatch(
+      'initialize',
+      { clientInfo: { name: 'shop-agent' } },
+      { session }
+    );
+    const { tools } = await handler.dispatch('tools/list', {}, { session });
+
+    expect(session.clientId).toBeNull();
+    expect(tools.map(({ name }) => name)).toEqual(['get_product', 'get_cart']);
+  });
+
+  it('gives calls without a session the storefront rules in the browser', async () => {
+    const { tools } = await policyHandler().dispatch('tools/list', {});
+
+    expect(tools.map(({ name }) => name)).toContain('add_to_cart');
+    expect(tools.map(({ name }) => name)).not.toContain('sign_in');
+  });
+
+  it('rejects tools the client may not call', async () => {
+    const handler = policyHandler();
+    const session = await initialize(handler, 'unknown-agent');
+    const response = await handler.handleJsonRpc(
+      {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'add_to_cart', arguments: { productId: 'SKU-1' } },
+      },
+      { session }
+    );
+
+    expect(response.error).toEqual({
+      code: JSONRPC_ERRORS.TOOL_NOT_ALLOWED,
+      message: 'Tool add_to_cart is not allowed for client unknown-agent',
+      data: { tool: 'add_to_cart', toolClass: 'mutating' },
+    });
+  });
+
+  it('answers calls over a rate limit with a retry-after hint', async () => {
+    const handler = policyHandler();
+    const session = await initialize(handler, 'shop-agent');
+    const call = (id) =>
+      handler.handleJsonRpc(
+        {
+          jsonrpc: '2.0',
+          id,
+          method: 'tools/call',
+          params: { name: 'add_to_cart', arguments: { productId: 'SKU-1' } },
+        },
+        { session }
+      );
+    const first = await call(1);
+    const second = await call(2);
+
+    expect(first.result.isError).toBeUndefined();
+    expect(second.error.code).toBe(JSONRPC_ERRORS.RATE_LIMITED);
+    expect(second.error.data).toEqual({
+      tool: 'add_to_cart',
+      scope: 'tool add_to_cart',
+      retryAfter: 60,
+    });
+  });
+});
+
+describe('MCP logging, progress and cancellation', () => {
+  const sessionHandler = (client = createClient()) => {
+    const server = new MCPServer({
+      client: createClient(),
+      createSessionClient: () => client,
+    });
+    const listener = jest.fn();
+    server.addNotificationListener(listener);
+    return { handler: new MCPHttpHandler(server), listener };
+  };
+  const sent = (listener, method) =>
+    listener.mock.calls
+      .map(([message]) => message)
+      .filter((message) => message.method === method)
+      .map(({ params }) => params);
+  const callTool = (handler, session, id, params) =>
+    handler.handleJsonRpc(
+      { jsonrpc: '2.0', id, method: 'tools/call', params },
+      { session }
+    );
+
+  it('sends log messages from the level the session asked for', async () => {
+    const { handler, listener } = sessionHandler();
+    const session = trustedSession('session-1');
+    await callTool(handler, session, 1, { name: 'get_cart' });
+    await callTool(handler, session, 2, { name: 'get_product' });
+
+    expect(sent(listener, 'notifications/message')).toEqual([
+      expect.objectContaining({
+        level: 'warning',
+        logger: 'sunrise-fashion-mcp',
+        data: expect.objectContaining({ name: 'get_product', outcome: 'error' }),
+      }),
+    ]);
+
+    await handler.dispatch('logging/setLevel', { level: 'debug' }, { session });
+    await callTool(handler, session, 3, { name: 'get_cart' });
+    expect(sent(listener, 'notifications/message').pop()).toEqual(
+      expect.objectContaining({
+        level: 'debug',
+        data: expect.objectContaining({ name: 'get_cart', outcome: 'success' }),
+      })
+    );
+  });
+
+  it('logs invalid arguments as warnings and failures as errors', async () => {
+    const client = createClient();
+    const { handler, listener } = sessionHandler(client);
+    const session = trustedSession('session-1');
+    await callTool(handler, session, 1, {
+      name: 'get_product',
+      arguments: { productId: 1 },
+    });
+    client.query.mockRejectedValueOnce(new Error('commercetools unavailable'));
+    await callTool(handler, session, 2, {
+      name: 'get_product',
+      arguments: { productId: 'SKU-1' },
+    });
+    await callTool(handler, session, 3, { name: 'unknown_tool' });
+
+    expect(
+      sent(listener, 'notifications/message').map(({ level, data }) => [
+        level,
+        data.error,
+      ])
+    ).toEqual([
+      ['warning', expect.stringContaining('Invalid arguments')],
+      ['error', expect.stringContaining('commercetools unavailable')],
+      ['warning', 'Tool unknown_tool not found'],
+    ]);
+  });
+
+  it('rejects unknown levels and calls without a session', async () => {
+    const { handler } = sessionHandler();
+    const session = trustedSession('session-1');
+    const [invalid, sessionless] = await Promise.all([
+      handler.handleJsonRpc(
+        {
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'logging/setLevel',
+          params: { level: 'verbose' },
+        },
+        { session }
+      ),
+      handler.handleJsonRpc({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'logging/setLevel',
+        params: { level: 'info' },
+      }),
+    ]);
+
+    expect(invalid.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    expect(sessionless.error.message).toBe(
+      'logging/setLevel needs a session, use a streaming transport'
+    );
+    expect(session.logLevel).toBe('warning');
+  });
+
+  it('reports progress to calls with a progressToken', async () => {
+    const { handler, listener } = sessionHandler();
+    const session = trustedSession('session-1');
+    await callTool(handler, session, 1, {
+      name: 'search_products',
+      arguments: { query: 'shirt', category: 'women' },
+      _meta: { progressToken: 'search-1' },
+    });
+    await callTool(handler, session, 2, {
+      name: 'search_products',
+      arguments: { query: 'shirt' },
+    });
+
+    expect(sent(listener, 'notifications/progress')).toEqual([
+      {
+        progressToken: 'search-1',
+        progress: 1,
+        total: 2,
+        message: 'Found category women',
+      },
+      {
+        progressToken: 'search-1',
+        progress: 2,
+        total: 2,
+        message: 'Found 1 products',
+      },
+    ]);
+  });
+
+  it('aborts the commercetools request of a cancelled call', async () => {
+    const client = createClient();
+    const signals = [];
+    client.query = jest.fn(
+      ({ context }) =>
+        new Promise((resolve, reject) => {
+          signals.push(context.fetchOptions.signal);
+          context.fetchOptions.signal.addEventListener('abort', () =>
+            reject(new Error('aborted'))
+          );
+        })
+    );
+    const { handler } = sessionHandler(client);
+    const session = trustedSession('session-1');
+    const other = trustedSession('session-2');
+    const pending = callTool(handler, session, 7, {
+      name: 'search_products',
+      arguments: { query: 'shirt' },
+    });
+    await handler.handleJsonRpc(
+      {
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 7 },
+      },
+      { session: other }
+    );
+    expect(signals[0].aborted).toBe(false);
+
+    await handler.handleJsonRpc(
+      {
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 7, reason: 'User stopped' },
+      },
+      { session }
+    );
+
+    expect(await pending).toBeNull();
+    expect(signals[0].aborted).toBe(true);
+    expect(handler.inFlight.size).toBe(0);
+  });
+
+  it('does not let callers without a session cancel requests', async () => {
+    const handler = new MCPHttpHandler(new MCPServer({ client: createClient() }));
+    const call = () =>
+      handler.handleJsonRpc({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tools/call',
+        params: { name: 'search_products', arguments: { query: 'shirt' } },
+      });
+    const pending = [call(), call()];
+    await handler.handleJsonRpc({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 7 },
+    });
+    const responses = await Promise.all(pending);
+
+    expect(handler.inFlight.size).toBe(0);
+    responses.forEach((response) => {
+      expect(response.result.isError).toBeUndefined();
+    });
+  });
+});
+
+describe('MCP product comparison', () => {
+  const withStock = (base, isOnStock, attributes) => ({
+    ...base,
+    attributesRaw: Object.entries(attributes).map(([name, value]) => ({
+      name,
+      value,
+    })),
+    availability: { noChannel: { isOnStock, availableQuantity: isOnStock ? 3 : 0 } },
+  });
+  const dress = {
+    productId: 'product-3',
+    name: 'Dress',
+    slug: 'dress',
+    masterVariant: {
+      ...withStock(variant(1, 'DRESS-1'), true, {
+        designer: { key: 'boss', label: 'Hugo Boss' },
+        size: 'M',
+      }),
+      scopedPrice: {
+        value: money(10000),
+        discounted: { value: money(8000), discount: { name: 'Sale' } },
+        country: 'DE',
+      },
+    },
+    variants: [],
+  };
+  const coat = {
+    productId: 'product-4',
+    name: 'Coat',
+    slug: 'coat',
+    masterVariant: withStock(variant(1, 'COAT-1'), false, {
+      designer: { key: 'boss', label: 'Hugo Boss' },
+      size: 'L',
+    }),
+    variants: [],
+  };
+
+  it('compares attributes, prices and availability side by side', async () => {
+    const client = createClient({ products: [dress, coat] });
+    const server = new MCPServer({ client });
+    const result = parse(
+      await server.callTool('compare_products', {
+        skus: ['DRESS-1', 'COAT-1'],
+        locale: 'de',
+      })
+    );
+    const [{ query, variables }] = client.query.mock.calls[0];
+
+    expect(query.loc.source.body).toContain('isOnStock');
+    expect(variables.filters).toContainEqual({
+      model: { value: { path: 'variants.sku', values: ['DRESS-1', 'COAT-1'] } },
+    });
+    expect(result.attributes).toEqual([
+      {
+        name: 'designer',
+        label: 'Designer',
+        values: { 'DRESS-1': 'Hugo Boss', 'COAT-1': 'Hugo Boss' },
+        differs: false,
+      },
+      {
+        name: 'size',
+        label: 'Grösse',
+        values: { 'DRESS-1': 'M', 'COAT-1': 'L' },
+        differs: true,
+      },
+    ]);
+    expect(result.products.map(({ sku, discount, differenceToLowest, availability }) => [
+      sku,
+      discount && discount.amount,
+      differenceToLowest.amount,
+      availability.isOnStock,
+    ])).toEqual([
+      ['DRESS-1', 20, 0, true],
+      ['COAT-1', null, 49.99, false],
+    ]);
+  });
+
+  it('reports SKUs that were not found and needs two products', async () => {
+    const server = new MCPServer({
+      client: createClient({ products: [dress, coat] }),
+    });
+    const partial = parse(
+      await server.callTool('compare_products', {
+        skus: ['DRESS-1', 'COAT-1', 'NOPE'],
+      })
+    );
+    const single = await server.callTool('compare_products', {
+      skus: ['DRESS-1', 'DRESS-1'],
+    });
+    const tooMany = await server.callTool('compare_products', {
+      skus: ['A', 'B', 'C', 'D', 'E', 'F'],
+    });
+
+    expect(partial.missing).toEqual(['NOPE']);
+    expect(partial.products).toHaveLength(2);
+    expect(single.content[0].text).toContain('at least 2 different SKUs');
+    expect(tooMany.isError).toBe(true);
+  });
+});
+
+describe('MCP variant finder', () => {
+  const black = { key: 'black', label: { en: 'Black', de: 'Schwarz' } };
+  const teeVariant = (variantId, sku, color, size, isOnStock) => ({
+    ...variant(variantId, sku, { color, size }),
+    availability: { noChannel: { isOnStock, availableQuantity: isOnStock ? 5 : 0 } },
+  });
+  const tee = {
+    productId: 'product-5',
+    name: 'Tee',
+    slug: 'tee',
+    masterVariant: teeVariant(1, 'TEE-BLUE-S', 'blue', 'S', true),
+    variants: [
+      teeVariant(2, 'TEE-BLUE-M', 'blue', 'M', false),
+      teeVariant(3, 'TEE-BLACK-M', black, 'M', true),
+      teeVariant(4, 'TEE-BLACK-L', black, 'L', true),
+    ],
+  };
+  const findVariant = (args) =>
+    new MCPServer({ client: createClient({ products: [tee] }) })
+      .callTool('find_variant', args)
+      .then(parse);
+
+  it('resolves the SKU of the wanted attributes by label or key', async () => {
+    const result = await findVariant({
+      productId: 'product-5',
+      attributes: { color: 'BLACK', size: 'L' },
+      locale: 'de',
+    });
+
+    expect(result.found).toBe(true);
+    expect(result.available).toBe(true);
+    expect(result.variant).toEqual(
+      expect.objectContaining({
+        sku: 'TEE-BLACK-L',
+        attributes: { color: 'Schwarz', size: 'L' },
+        matches: ['color', 'size'],
+        differs: [],
+      })
+    );
+    expect(result.alternatives).toEqual([]);
+    expect(result.options).toEqual({
+      color: ['blue', 'Schwarz'],
+      size: ['S', 'M', 'L'],
+    });
+  });
+
+  it('suggests the nearest variants in stock like the variant selector', async () => {
+    const outOfStock = await findVariant({
+      productId: 'TEE-BLUE-S',
+      attributes: { color: 'blue', size: 'M' },
+    });
+    const missing = await findVariant({
+      productId: 'TEE-BLUE-S',
+      attributes: { color: 'blue', size: 'L' },
+    });
+
+    expect(outOfStock.found).toBe(true);
+    expect(outOfStock.available).toBe(false);
+    expect(outOfStock.alternatives.map(({ sku }) => sku)).toEqual([
+      'TEE-BLUE-S',
+      'TEE-BLACK-M',
+      'TEE-BLACK-L',
+    ]);
+    expect(missing.found).toBe(false);
+    expect(missing.variant).toBeNull();
+    expect(missing.alternatives.map(({ sku, differs }) => [sku, differs])).toEqual([
+      ['TEE-BLUE-S', ['size']],
+      ['TEE-BLACK-L', ['color']],
+      ['TEE-BLACK-M', ['color', 'size']],
+    ]);
+  });
+
+  it('rejects attributes the variant selector does not know', async () => {
+    const result = await new MCPServer({
+      client: createClient({ products: [tee] }),
+    }).callTool('find_variant', {
+      productId: 'TEE-BLUE-S',
+      attributes: { fabric: 'cotton' },
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('attributes.fabric');
+  });
+});
+
+describe('MCP stores', () => {
+  const store = (id, name, city, [lng, lat]) => ({
+    id,
+    name,
+    address: { streetName: 'Main Street', city, postalCode: '1', country: 'DE' },
+    geoLocation: { coordinates: [lng, lat] },
+    custom: {
+      customFieldsRaw: [
+        { name: 'openingTimes', value: { en: 'Mo-Fr 9-18', de: 'Mo-Fr 9-18 Uhr' } },
+      ],
+    },
+  });
+  const channels = [
+    store('munich', 'Munich', 'München', [11.576, 48.137]),
+    store('hamburg', 'Hamburg', 'Hamburg', [10.0, 53.55]),
+    store('berlin', 'Berlin', 'Berlin', [13.405, 52.52]),
+  ];
+  const storeServer = (client = createClient({ channels })) =>
+    new MCPServer({ client, createSessionClient: () => client });
+
+  it('finds the nearest stores with distance and opening hours', async () => {
+    const client = createClient({ channels });
+    const result = parse(
+      await storeServer(client).callTool('find_stores', {
+        latitude: 53.55,
+        longitude: 10.0,
+        radius: 500,
+        limit: 2,
+        locale: 'de',
+      })
+    );
+    const { variables } = client.query.mock.calls[0][0];
+
+    expect(variables.where).toBe(
+      `geoLocation within circle(10, 53.55, ${500 * 1609.4})`
+    );
+    expect(result.total).toBe(3);
+    expect(result.stores.map(({ id }) => id)).toEqual(['hamburg', 'berlin']);
+    expect(result.stores[0]).toEqual(
+      expect.objectContaining({
+        distance: { miles: 0, kilometers: 0 },
+        openingHours: 'Mo-Fr 9-18 Uhr',
+        selected: false,
+      })
+    );
+    expect(result.stores[1].distance.kilometers).toBeCloseTo(255, -1);
+  });
+
+  it('pages through all channels before picking the nearest', async () => {
+    const many = Array.from({ length: 600 }, (_, index) =>
+      store(`store-${index}`, `Store ${index}`, 'Hamburg', [10.0, 50 + index / 100])
+    );
+    const client = createClient({ channels: many });
+    const result = parse(
+      await storeServer(client).callTool('find_stores', {
+        latitude: 55.99,
+        longitude: 10.0,
+        limit: 1,
+      })
+    );
+    const pages = client.query.mock.calls.map(([{ variables }]) => [
+      variables.limit,
+      variables.offset,
+    ]);
+
+    expect(pages).toEqual([
+      [500, 0],
+      [500, 500],
+    ]);
+    expect(result.total).toBe(600);
+    expect(result.stores[0].id).toBe('store-599');
+  });
+
+  it('finds stores by address and needs a location', async () => {
+    const client = createClient({ channels });
+    const server = storeServer(client);
+    await server.callTool('find_stores', { country: 'DE', city: 'Berlin' });
+    const latitudeOnly = await server.callTool('find_stores', { latitude: 1 });
+    const quoted = await server.callTool('find_stores', { city: 'a" or x' });
+
+    expect(client.query.mock.calls[0][0].variables.where).toBe(
+      'address(country = "DE" and city = "Berlin")'
+    );
+    expect(latitudeOnly.content[0].text).toContain('both latitude and longitude');
+    expect(quoted.isError).toBe(true);
+  });
+
+  it('moves the session cart to the selected store', async () => {
+    const client = createClient({ channels });
+    const server = storeServer(client);
+    const session = trustedSession('session-1');
+    await server.callTool('add_to_cart', { productId: 'SKU-1' }, session);
+    const selected = parse(
+      await server.callTool('select_store', { channelId: 'berlin' }, session)
+    );
+    await server.callTool('add_to_cart', { productId: 'SKU-2' }, session);
+    const missing = await server.callTool(
+      'select_store',
+      { channelId: 'nope' },
+      session
+    );
+
+    expect(selected.store.name).toBe('Berlin');
+    expect(session.channel).toEqual({ id: 'berlin', name: 'Berlin' });
+    expect(
+      client.state.cart.lineItems.map(({ distributionChannel }) => distributionChannel)
+    ).toEqual([
+      { id: 'berlin', typeId: 'channel' },
+      { id: 'berlin', typeId: 'channel' },
+    ]);
+    expect(missing.content[0].text).toContain('Store nope not found');
+
+    await server.callTool('select_store', {}, session);
+    expect(session.channel).toBeNull();
+    expect(client.state.cart.lineItems[0].distributionChannel).toBeUndefined();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for robots.txt and the web site server
+ *
+ * The server of Deploy/index.js is started on a free port, so the tests see
+ * the status codes crawlers get.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { robotsConfig, createRobotsTxt } from '../../Deploy/robots';
+import { createApp } from '../../Deploy/index';
+
+const get = (server, url) =>
+  new Promise((resolve, reject) => {
+    http
+      .get(`http://127.0.0.1:${server.address().port}${url}`, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body }));
+      })
+      .on('error', reject);
+  });
+
+const listen = (env) =>
+  new Promise((resolve) => {
+    const server = createApp(env).listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+describe('robots.txt', () => {
+  it('keeps crawlers out of the api and the pages of a shopper', () => {
+    const robotsTxt = createRobotsTxt(robotsConfig({}));
+
+    expect(robotsTxt).toContain('User-agent: *\nDisallow: /api/\n');
+    expect(robotsTxt).toContain('Disallow: /*/checkout$');
+    expect(robotsTxt).toContain(
+      'User-agent: CCBot\nAllow: /api/ai/\nAllow: /llms.txt\nAllow: /llms-full.txt\nDisallow: /api/'
+    );
+    expect(robotsTxt).toContain('Crawl-delay: 1');
+    expect(robotsTxt).not.toContain('Sitemap:');
+  });
+
+  it('takes lists and the crawl delay from the environment', () => {
+    const robotsTxt = createRobotsTxt(
+      robotsConfig({
+        ROBOTS_AI_CRAWLERS: 'GPTBot, ClaudeBot',
+        ROBOTS_AI_ALLOW: '',
+        ROBOTS_DISALLOW: '/admin/',
+        ROBOTS_CRAWL_DELAY: '',
+      })
+    );
+
+    expect(robotsTxt).toBe(
+      [
+        '# robots.txt for Sunrise Fashion',
+        '',
+        'User-agent: *',
+        'Disallow: /admin/',
+        '',
+        'User-agent: GPTBot',
+        'User-agent: ClaudeBot',
+        'Disallow: /admin/',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('links the sitemap only when one is served or configured', () => {
+    const sitemap = (env) => robotsConfig(env).sitemap;
+
+    expect(sitemap({ SITE_URL: 'https://shop.example/' })).toBeNull();
+    expect(
+      sitemap({ SITE_URL: 'https://shop.example/', AI_API_URL: 'http://ai-api:3001' })
+    ).toBe('https://shop.example/sitemap.xml');
+    expect(sitemap({ SITEMAP_URL: 'https://cdn.example/sitemap.xml' })).toBe(
+      'https://cdn.example/sitemap.xml'
+    );
+    expect(
+      createRobotsTxt(robotsConfig({ SITEMAP_URL: 'https://cdn.example/sitemap.xml' }))
+    ).toMatch(/\nSitemap: https:\/\/cdn\.example\/sitemap\.xml\n$/);
+  });
+
+  it('has the default robots.txt as static fallback', () => {
+    const fallback = fs.readFileSync(
+      path.resolve(__dirname, '../../public/robots.txt'),
+      'utf8'
+    );
+
+    expect(fallback).toBe(createRobotsTxt(robotsConfig({})));
+  });
+});
+
+describe('Web site server', () => {
+  let server;
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  it('serves the configured robots.txt', async () => {
+    server = await listen({ ROBOTS_DISALLOW: '/admin/', ROBOTS_AI_CRAWLERS: '' });
+
+    expect(await get(server, '/robots.txt')).toEqual({
+      status: 200,
+      body: '# robots.txt for Sunrise Fashion\n\nUser-agent: *\nDisallow: /admin/\nCrawl-delay: 1\n',
+    });
+  });
+
+  it('answers the sitemap and llms.txt with 404 without an AI API', async () => {
+    server = await listen({});
+
+    for (const url of ['/sitemap.xml', '/sitemaps/DE-en.xml', '/llms.txt', '/api/ai/site-info']) {
+      expect((await get(server, url)).status).toBe(404);
+    }
+  });
+});
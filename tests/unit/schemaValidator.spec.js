@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for the JSON Schema Validator
+ *
+ * The validator checks MCP tool and prompt arguments before they are
+ * dispatched, these tests cover the keywords used by the MCP definitions.
+ */
+
+import {
+  validateSchema,
+  promptArgumentsSchema,
+  formatViolations,
+} from '@/services/schemaValidator';
+
+const schema = {
+  type: 'object',
+  properties: {
+    productId: { type: 'string', minLength: 1 },
+    quantity: { type: 'integer', minimum: 1, maximum: 10 },
+    country: { type: 'string', enum: ['DE', 'US'] },
+    skus: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+  },
+  required: ['productId'],
+};
+
+describe('validateSchema', () => {
+  it('accepts valid values', () => {
+    expect(
+      validateSchema(schema, {
+        productId: 'SKU-1',
+        quantity: 2,
+        country: 'DE',
+        skus: ['a'],
+      })
+    ).toEqual([]);
+  });
+
+  it('reports every violation with its path', () => {
+    const violations = validateSchema(schema, {
+      quantity: '2',
+      country: 'FR',
+      skus: ['a', 3, 'c'],
+    });
+
+    expect(violations).toEqual([
+      { path: 'productId', keyword: 'required', message: 'is required' },
+      {
+        path: 'quantity',
+        keyword: 'type',
+        message: 'must be integer, got string',
+      },
+      {
+        path: 'country',
+        keyword: 'enum',
+        message: 'must be one of "DE", "US"',
+      },
+      {
+        path: 'skus',
+        keyword: 'maxItems',
+        message: 'must have at most 2 item(s)',
+      },
+      {
+        path: 'skus[1]',
+        keyword: 'type',
+        message: 'must be string, got number',
+      },
+    ]);
+  });
+
+  it('checks numeric limits and string length', () => {
+    const violations = validateSchema(schema, {
+      productId: '',
+      quantity: 11,
+    });
+
+    expect(violations.map(({ keyword }) => keyword)).toEqual([
+      'minLength',
+      'maximum',
+    ]);
+    expect(
+      validateSchema(schema, { productId: 'a', quantity: 1.5 })[0].keyword
+    ).toBe('type');
+  });
+
+  it('rejects unknown properties when additionalProperties is false', () => {
+    expect(
+      validateSchema(
+        { ...schema, additionalProperties: false },
+        { productId: 'a', color: 'red' }
+      )
+    ).toEqual([
+      {
+        path: 'color',
+        keyword: 'additionalProperties',
+        message: 'is not allowed',
+      },
+    ]);
+  });
+});
+
+describe('promptArgumentsSchema', () => {
+  it('requires the required prompt arguments as strings', () => {
+    const promptSchema = promptArgumentsSchema([
+      { name: 'occasion', required: true },
+      { name: 'body_type', required: false },
+    ]);
+    const violations = validateSchema(promptSchema, { body_type: 3 });
+
+    expect(formatViolations(violations)).toBe(
+      'occasion is required; body_type must be string, got number'
+    );
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for the Sitemap Generator
+ *
+ * Alternates between the shards are checked against the localized slugs of
+ * the fake catalog.
+ */
+
+import { SitemapGenerator, SHARDS } from '@/services/sitemap';
+import { AIApiService } from '@/services/aiApiService';
+import { createCatalog } from './fixtures/catalog';
+
+const createGenerator = (options = {}, catalogOptions) => {
+  const catalog = createCatalog(catalogOptions);
+  const generator = new SitemapGenerator({
+    catalog,
+    siteUrl: 'https://shop.example',
+    ...options,
+  });
+  return { generator, catalog };
+};
+
+describe('SitemapGenerator', () => {
+  it('has a shard per country and locale', () => {
+    expect(SHARDS.map(({ name }) => name)).toEqual(['DE-en', 'DE-de', 'US-en', 'US-de']);
+  });
+
+  it('lists every shard in the index with the latest modification', async () => {
+    const { generator } = createGenerator();
+
+    const index = await generator.index();
+
+    expect(index).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    SHARDS.forEach(({ name }) => {
+      expect(index).toContain(`<loc>https://shop.example/sitemaps/${name}.xml</loc>`);
+    });
+    expect(index).toContain('<lastmod>2024-06-01T08:30:00.000Z</lastmod>');
+  });
+
+  it('renders localized urls with hreflang alternates', async () => {
+    const { generator } = createGenerator();
+
+    const shard = await generator.shard('US-de');
+
+    expect(shard).toContain(
+      [
+        '  <url>',
+        '    <loc>https://shop.example/US/de/product/ledertasche/M0E0</loc>',
+        '    <lastmod>2024-06-01T08:30:00.000Z</lastmod>',
+        '    <changefreq>weekly</changefreq>',
+        '    <priority>0.8</priority>',
+        '    <xhtml:link rel="alternate" hreflang="en-DE" href="https://shop.example/DE/en/product/leather-bag/M0E0"/>',
+        '    <xhtml:link rel="alternate" hreflang="de-DE" href="https://shop.example/DE/de/product/ledertasche/M0E0"/>',
+        '    <xhtml:link rel="alternate" hreflang="en-US" href="https://shop.example/US/en/product/leather-bag/M0E0"/>',
+        '    <xhtml:link rel="alternate" hreflang="de-US" href="https://shop.example/US/de/product/ledertasche/M0E0"/>',
+        '    <xhtml:link rel="alternate" hreflang="x-default" href="https://shop.example/DE/en/product/leather-bag/M0E0"/>',
+        '  </url>',
+      ].join('\n')
+    );
+    expect(shard).toContain('<loc>https://shop.example/US/de</loc>');
+    expect(shard).toContain('<loc>https://shop.example/US/de/products/damen</loc>');
+    expect(await generator.shard('FR-fr')).toBeNull();
+  });
+
+  it('pages through the catalog up to the product limit', async () => {
+    const { generator, catalog } = createGenerator({ productLimit: 700 }, { products: 1200 });
+
+    const { entries } = await generator.documents();
+
+    expect(entries.filter(({ type }) => type === 'product')).toHaveLength(700);
+    const pages = (country, locale) =>
+      catalog.queryProducts.mock.calls
+        .filter(([, context]) => context.country === country && context.locale === locale)
+        .map(([{ limit, offset }]) => [limit, offset]);
+    expect(pages('DE', 'en')).toEqual([
+      [500, 0],
+      [200, 500],
+    ]);
+    SHARDS.forEach(({ country, locale }) => {
+      expect(pages(country, locale)).toEqual(pages('DE', 'en'));
+    });
+  });
+
+  it('lists products only in the shards of the countries they are priced in', async () => {
+    const { generator } = createGenerator({}, { products: 2, pricedInGermany: 1 });
+
+    const [germany, unitedStates] = await Promise.all([
+      generator.shard('DE-en'),
+      generator.shard('US-en'),
+    ]);
+
+    expect(germany).not.toContain('/product/product-1/');
+    expect(unitedStates).toContain(
+      [
+        '    <loc>https://shop.example/US/en/product/product-1/M0E1</loc>',
+        '    <lastmod>2024-06-01T08:30:00.000Z</lastmod>',
+        '    <changefreq>weekly</changefreq>',
+        '    <priority>0.8</priority>',
+        '    <xhtml:link rel="alternate" hreflang="en-US" href="https://shop.example/US/en/product/product-1/M0E1"/>',
+        '    <xhtml:link rel="alternate" hreflang="de-US" href="https://shop.example/US/de/product/product-1/M0E1"/>',
+        '  </url>',
+      ].join('\n')
+    );
+  });
+
+  it('is served by the AI API as XML and as JSON for agents', async () => {
+    const service = new AIApiService({ catalog: createCatalog() });
+
+    expect(await service.handleRequest('GET', '/sitemap.xml')).toMatch(/^<\?xml/);
+    expect(await service.handleRequest('GET', '/sitemaps/DE-de.xml')).toContain(
+      '/DE/de/products/damen'
+    );
+    expect((await service.handleRequest('GET', '/sitemaps/DE-de.json')).error.code).toBe(404);
+
+    const { sitemap } = await service.handleRequest('GET', '/api/ai/sitemap');
+    expect(sitemap.pages.map(({ url }) => url)).toEqual([
+      '/DE/en',
+      '/DE/en/stores',
+      '/DE/en/products/women',
+      '/DE/en/product/leather-bag/M0E0',
+    ]);
+    expect(sitemap.pages[3]).toEqual(
+      expect.objectContaining({
+        type: 'product',
+        lastMod: '2024-06-01',
+        aiMetadata: { contentType: 'product-detail', sku: 'M0E0' },
+      })
+    );
+    expect(sitemap.statistics).toEqual(
+      expect.objectContaining({ totalPages: 4, categories: 1, products: 1, staticPages: 2 })
+    );
+  });
+});